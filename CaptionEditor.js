@@ -1,18 +1,31 @@
 var CaptionEditor = (function(){
+	function emitUpdate(editor, cue){
+		if(editor.timeline){ editor.timeline.emit(new Timeline.Event('update',{cue:cue})); }
+	}
+
 	function genTextChange(text, editor){
 		return function(){
 			this.text = text;
+			emitUpdate(editor, this);
 			//can't just refresh layout 'cause it won't update text
 			//can't update texts ourselves 'cause we'll leak nodes
 			editor.rebuild(this);
 		};
 	}
 
+	//Whether the cue belongs to a timeline track whose text may not be edited
+	function isTextLocked(editor, cue){
+		var track = editor.timeline ? editor.timeline.getTrack(cue.track.label) : null;
+		return !!track && !track.textEditable;
+	}
+
 	function CaptionEditor(params){
 		if(!(this instanceof CaptionEditor)){ return new CaptionEditor(params); }
 		var timeline = params.timeline instanceof Timeline ? params.timeline : null;
 		this.renderer = params.renderer instanceof TimedText.CaptionRenderer ? params.renderer : null;
 		this.timeline = timeline;
+		this.caret = null;
+		if(timeline){ timeline.captionEditor = this; }
 		this.commandStack = timeline ? timeline.commandStack :
 							params.stack instanceof EditorWidgets.CommandStack ? params.stack :
 							null;
@@ -35,17 +48,23 @@ var CaptionEditor = (function(){
 			newtext = renderedCue.typeInfo.textFromHTML(renderedCue.node);
 		
 		if(oldtext === newtext){ return; }
+		if(isTextLocked(this, cue)){
+			this.rebuild(cue);
+			return;
+		}
 		
 		if(this.commandStack){
 			this.commandStack.push({
 				context: cue,
 				file: cue.track.label,
+				description: "Edited "+(cue.id?"cue "+cue.id:"a cue")+" on "+cue.track.label,
 				redo: genTextChange(newtext,this),
 				undo: genTextChange(oldtext,this)
 			});
 		}
 		
 		cue.text = newtext;
+		emitUpdate(this, cue);
 		renderedCue.updateContent();
 		this.refresh(cue); //refresh, don't rebuild, 'cause we'd lose the cursor context
 	}
@@ -137,6 +156,25 @@ var CaptionEditor = (function(){
 		editorInput.call(editor,this);
 	}
 	
+	//Measures the caret position as an offset into the cue text
+	function caretOffset(renderedCue){
+		var range, tmp,
+			selection = getSelection();
+		if(!selection.rangeCount || !renderedCue.node.contains(selection.focusNode)){ return -1; }
+		range = document.createRange();
+		range.selectNodeContents(renderedCue.node);
+		range.setEnd(selection.focusNode, selection.focusOffset);
+		tmp = document.createElement('div');
+		tmp.appendChild(range.cloneContents());
+		return renderedCue.typeInfo.textFromHTML(tmp).length;
+	}
+	
+	//Called in the context of a RenderedCue
+	//Clicking on the timeline takes focus away, so remember where the caret was
+	function onBlur(editor){
+		editor.caret = {cue: this.cue, offset: caretOffset(this)};
+	}
+	
 	function cancelEvent(e){
 		e.stopPropagation();
 	}
@@ -168,7 +206,8 @@ var CaptionEditor = (function(){
 		node.addEventListener('paste',filterPasteData.bind(renderedCue,editor),false);
 		node.addEventListener('keydown',editorKeyDown.bind(renderedCue,editor),false);
 		node.addEventListener('keyup',cancelEvent,false);
-		node.addEventListener('keypress',cancelEvent,false);		
+		node.addEventListener('keypress',cancelEvent,false);
+		node.addEventListener('blur',onBlur.bind(renderedCue,editor),false);
 	}
 	
 	function isFocusEditable(){
@@ -212,8 +251,15 @@ var CaptionEditor = (function(){
 		renderedCue.addFinalizer(fn);
 	}
 	
+	//Returns the caret offset into the text of the given cue, or -1 if it is not being edited
+	CaptionEditor.prototype.caretOffset = function(cue){
+		var caret = this.caret;
+		if(caret === null || caret.cue !== cue || !cue.active){ return -1; }
+		return caret.offset;
+	};
+	
 	CaptionEditor.prototype.make = function(renderedCue,area,defRender){
-		if(renderedCue.editable){
+		if(renderedCue.editable && !isTextLocked(this, renderedCue.cue)){
 			if(renderedCue.done){
 				if(!renderedCue.dirty){ return; }
 				renderedCue.cleanup();
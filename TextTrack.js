@@ -15,6 +15,8 @@
 	function TlTextTrack(tl, cueTrack, mime){
 		var that = this,
 			locked = false,
+			timingLocked = false,
+			textLocked = false,
 			autoCue = false,
 			typeInfo = TimedText.getTypeInfo(mime);
 
@@ -25,6 +27,8 @@
 		});
 
 		this.tl = tl;
+		this.uidIndex = {}; //uid -> live segment
+		this.idIndex = {}; //cue id -> live segment, kept up to date as segments come and go
 		this.segments = cueTrack.cues.map(function(cue){ return new Segment(that, cue); });
 		this.visibleSegments = [];
 		this.audioId = null;
@@ -32,7 +36,11 @@
 		this.lastPos = null;
 		this.ctrl = false;
 		this.autoFill = false;
+		this.autoRenumber = null; //renumbering options to apply on export
 		this.linebuffer = [];
+		this.ghosts = []; //previewed timings
+		this.syncPoints = [];
+		this.baseline = null; //uid -> segment state, while tracking changes
 
 		function set_mime(newmime, newCues){
 			var i = 0, oldmime = mime,
@@ -86,18 +94,57 @@
 					return locked;
 				}, enumerable: true
 			},
+			//Timing locked tracks can still have their text edited, and text locked tracks their timing
+			timingLocked: {
+				get: function(){ return timingLocked; },
+				set: function(val){
+					val = !!val;
+					if(val !== timingLocked){
+						timingLocked = val;
+						tl.renderTrack(this);
+					}
+					return timingLocked;
+				}, enumerable: true
+			},
+			textLocked: {
+				get: function(){ return textLocked; },
+				set: function(val){
+					val = !!val;
+					if(val !== textLocked){
+						textLocked = val;
+						tl.renderTrack(this);
+					}
+					return textLocked;
+				}, enumerable: true
+			},
+			//While on, edits are kept as pending changes against a baseline until accepted or rejected
+			trackChanges: {
+				get: function(){ return this.baseline !== null; },
+				set: function(val){
+					val = !!val;
+					if(val === (this.baseline !== null)){ return val; }
+					this.baseline = val?snapshot(this):null;
+					tl.renderTrack(this);
+					tl.emit(new Timeline.Event('trackchanges',{track:this,enabled:val}));
+					return val;
+				}, enumerable: true
+			},
+			timingEditable: { get: function(){ return !(locked || timingLocked); }, enumerable: true },
+			textEditable: { get: function(){ return !(locked || textLocked); }, enumerable: true },
 			mime: {
 				get: function(){ return mime; },
 				set: function(newmime){
 					var oldmime = mime,
 						oldCues, newCues;
 					if(newmime === mime){ return mime; }
+					if(tl.snapshots){ tl.snapshots.take(this, "Before conversion to "+newmime, true); }
 
 					oldCues = cueTrack.cues.slice();
 					newCues = oldCues.map(TimedText.getCueConverter(oldmime, newmime));
 
 					tl.commandStack.push({
 						file: cueTrack.label,
+						description: "Converted "+cueTrack.label+" to "+newmime,
 						context: this,
 						redo: set_mime.bind(this,newmime,newCues),
 						undo: set_mime.bind(this,oldmime,oldCues)
@@ -120,6 +167,18 @@
 		this.selected = false;
 		this.resizeSide = 0;
 		this.uid = (idCounter++).toString(36);
+		indexSeg(track, this);
+		this.duplicateId = false;
+
+		// Segments on other tracks that move, split and delete along with this one;
+		// shared by every member of the group
+		this.linkGroup = null;
+
+		// One of Timeline.ReviewStates
+		this.review = 'unreviewed';
+
+		// Classification from timeline.compareTracks, if this track is being compared
+		this.diff = null;
 
 		// For undo/redo
 		this.initialStart = 0;
@@ -129,6 +188,16 @@
 		this.startingPos = 0;
 		this.startingLength = 0;
 
+		// For ripple edits
+		this.rippled = [];
+		this.rippleDelta = 0; //how far the rippled segments have been pushed
+
+		// Style guide violations found by the validator
+		this.issues = [];
+
+		// Set by reflow when the text doesn't fit; kept apart from the validator's issues
+		this.oversize = null;
+
 		this.shape = {};
 
 		Object.defineProperties(this,{
@@ -138,6 +207,8 @@
 					if(d !== deleted){
 						track.textTrack[d?'removeCue':'addCue'](this.cue);
 						deleted = d;
+						if(d){ unindexSeg(track, this, this.cue.id); }
+						else{ indexSeg(track, this); }
 					}
 					return d;
 				},
@@ -147,6 +218,30 @@
 		});
 	}
 
+	function hasId(id){
+		return id !== '' && id !== null && typeof id !== 'undefined';
+	}
+
+	//Adds a live segment to its track's uid and cue id lookups
+	function indexSeg(track, seg){
+		var id = seg.cue.id;
+		track.uidIndex[seg.uid] = seg;
+		if(hasId(id) && !track.idIndex.hasOwnProperty(id)){ track.idIndex[id] = seg; }
+	}
+
+	//Takes a segment out of the lookups; another live cue with the same id takes its place
+	function unindexSeg(track, seg, id){
+		var index = track.idIndex;
+		delete track.uidIndex[seg.uid];
+		if(index[id] !== seg){ return; }
+		delete index[id];
+		track.segments.some(function(s){
+			if(s === seg || s.deleted || s.cue.id !== id){ return false; }
+			index[id] = s;
+			return true;
+		});
+	}
+
 	function Placeholder(tl, track, x) {
 		this.tl = tl;
 		this.track = track;
@@ -155,6 +250,7 @@
 		tl.emit(new Timeline.Event("segstart",{track:track}));
 	}
 
+	TlTextTrack.order = order;
 	Timeline.TextTrack = TlTextTrack;
 
 	function deleteSeg(){
@@ -213,11 +309,83 @@
 		if(mseg.visible || visible){ tl.renderTrack(this); }
 	}
 
+	function segState(seg){
+		return {startTime: seg.startTime, endTime: seg.endTime, text: seg.cue.text, deleted: seg.deleted};
+	}
+
+	function snapshot(track){
+		var states = {};
+		track.segments.forEach(function(seg){ states[seg.uid] = segState(seg); });
+		return states;
+	}
+
+	function resplitSeg(s1,s2,stime,text){
+		var tl = this.tl,
+			active = s1.active,
+			visible = s1.visible;
+
+		s2.deleted = false;
+		s1.cue.endTime = stime;
+		s1.cue.text = text;
+
+		tl.emit(new Timeline.Event('split',{first:s1,second:s2}));
+		tl.emit(new Timeline.Event('create',{segments:[s2]}));
+		if(active){
+			this.textTrack.activeCues.refreshCues();
+			tl.emit(new Timeline.Event('activechange'));
+		}
+		if(visible){ tl.renderTrack(this); }
+	}
+
+	function unsplitSeg(s1,s2,text){
+		var i, tl = this.tl,
+			s_segs = tl.selectedSegments;
+
+		s2.deleted = true;
+		s2.selected = false;
+
+		i = s_segs.indexOf(s2);
+		if(~i){ s_segs.splice(i,1); }
+
+		s1.cue.endTime = s2.cue.endTime;
+		s1.cue.text = text;
+
+		tl.emit(new Timeline.Event('merge',{segments:[s1,s2]}));
+		tl.emit(new Timeline.Event('delete',{segments:[s2]}));
+		if(s1.active){
+			this.textTrack.activeCues.refreshCues();
+			tl.emit(new Timeline.Event('activechange'));
+		}
+		if(s1.visible){ tl.renderTrack(this); }
+	}
+
+	function cue2seg(cue, select){
+		var tl = this.tl, seg;
+
+		this.textTrack.addCue(cue);
+
+		seg = new Segment(this, cue);
+		this.segments.push(seg);
+		this.segments.sort(order);
+
+		if(select){ seg.select(); }
+
+		tl.emit(new Timeline.Event('addcue',{cue:cue,segment:seg}));
+		tl.emit(new Timeline.Event('create',{segments:[seg]}));
+		if(seg.active){
+			this.textTrack.activeCues.refreshCues();
+			tl.emit(new Timeline.Event('activechange'));
+		}
+		tl.renderTrack(this);
+		return seg;
+	}
+
 	function merge(list){
 		var tl = this.tl,
 			ssegs = tl.selectedSegments,
-			mseg, oldend, oldtext, newtext;
+			mseg, oldend, oldtext, newtext, description;
 
+		if(!this.timingEditable || !this.textEditable){ return; }
 		list.sort(order);
 		newtext = list.map(function(seg){ return seg.text; }).join('');
 
@@ -233,12 +401,18 @@
 			ssegs.splice(ssegs.indexOf(seg),1);
 		});
 
-		tl.commandStack.push({
-			file: this.textTrack.label,
-			context: this,
-			redo: remerge.bind(this,list,mseg,newtext),
-			undo: unmerge.bind(this,list,mseg,oldtext,oldend)
-		});
+		//the merged away segments leave their link groups as part of the same command
+		description = Timeline.describeEdit("Merged", [mseg].concat(list));
+		tl.transaction(description, function(){
+			tl.commandStack.push({
+				file: this.textTrack.label,
+				description: description,
+				context: this,
+				redo: remerge.bind(this,list,mseg,newtext),
+				undo: unmerge.bind(this,list,mseg,oldtext,oldend)
+			});
+			tl.unlinkSegments(list);
+		}.bind(this));
 		tl.emit(new Timeline.Event('merge',{merged:mseg,removed:list}));
 		tl.emit(new Timeline.Event('delete',{segments:list}));
 		if(mseg.active){
@@ -355,31 +529,11 @@
 			return new TlTextTrack(this.tl,ntt,mime);
 		};
 
-		function cue2seg(cue, select){
-			var tl = this.tl, seg;
-
-			this.textTrack.addCue(cue);
-
-			seg = new Segment(this, cue);
-			this.segments.push(seg);
-			this.segments.sort(order);
-
-			if(select){ seg.select(); }
-
-			tl.emit(new Timeline.Event('addcue',{cue:cue,segment:seg}));
-			tl.emit(new Timeline.Event('create',{segments:[seg]}));
-			if(seg.active){
-				this.textTrack.activeCues.refreshCues();
-				tl.emit(new Timeline.Event('activechange'));
-			}
-			tl.renderTrack(this);
-			return seg;
-		}
-
 		TProto.add = function(cue, select){
 			var seg = cue2seg.call(this, cue, select);
 			this.tl.commandStack.push({
 				file: this.textTrack.label,
+				description: Timeline.describeEdit("Added", [seg]),
 				context: seg,
 				undo: deleteSeg,
 				redo: recreateSeg
@@ -387,12 +541,110 @@
 			return seg;
 		};
 
+		function buildIdIndex(track){
+			var index = {};
+			track.segments.forEach(function(seg){
+				var id = seg.cue.id;
+				if(!seg.deleted && hasId(id) && !index.hasOwnProperty(id)){ index[id] = seg; }
+			});
+			track.idIndex = index;
+		}
+
+		//Updates the cue id lookup after the segment's cue id was changed from oldid
+		TProto.reindexSegment = function(seg, oldid){
+			if(seg.deleted){ return; }
+			unindexSeg(this, seg, oldid);
+			indexSeg(this, seg);
+		};
+
+		//Looks up a live segment by its uid or, failing that, by its cue id
 		TProto.getSegment = function(id){
-			var i, segs = this.segments,
-				len = segs.length;
-			for(i=0;i<len;i++){
-				if(segs[i].uid === id){ return segs[i]; }
+			var seg, index = this.idIndex;
+			if(this.uidIndex.hasOwnProperty(id)){ return this.uidIndex[id]; }
+			seg = index.hasOwnProperty(id)?index[id]:void 0;
+			//cue ids edited without reindexSegment leave the lookup out of date
+			if(seg && seg.cue.id !== id){
+				buildIdIndex(this);
+				seg = this.idIndex.hasOwnProperty(id)?this.idIndex[id]:void 0;
+			}
+			return seg;
+		};
+
+		//Returns a map of ids to the segments sharing them, for every id used more than once
+		TProto.findDuplicateIds = function(){
+			var seen = {}, dups = {};
+			this.segments.forEach(function(seg){
+				var id = seg.cue.id;
+				if(seg.deleted || id === '' || id === null || typeof id === 'undefined'){ return; }
+				if(seen.hasOwnProperty(id)){
+					if(!dups.hasOwnProperty(id)){ dups[id] = [seen[id]]; }
+					dups[id].push(seg);
+				}else{ seen[id] = seg; }
+			});
+			return dups;
+		};
+
+		//Counts the live segments in each review state
+		TProto.reviewProgress = function(){
+			var counts = {total: 0};
+			Timeline.ReviewStates.forEach(function(state){ counts[state] = 0; });
+			this.segments.forEach(function(seg){
+				if(seg.deleted){ return; }
+				counts.total++;
+				counts[seg.review]++;
+			});
+			return counts;
+		};
+
+		//Data that isn't stored in the cues themselves, in cue order
+		//How sidecar data refers to a segment, so that it still finds it after other cues are added or removed
+		TProto.sidecarRef = function(seg){
+			return {cue: hasId(seg.cue.id)?seg.cue.id:null, start: seg.startTime};
+		};
+
+		//The live segment a sidecarRef points to: the one starting at the same time with the same cue id, if it had one
+		TProto.sidecarSegment = function(ref){
+			var found = null,
+				tolerance = this.tl.frameDuration/2;
+			this.segments.some(function(seg){
+				if(seg.deleted || Math.abs(seg.startTime - ref.start) > tolerance){ return false; }
+				if(hasId(ref.cue) && seg.cue.id !== ref.cue){ return false; }
+				found = seg;
+				return true;
+			});
+			return found;
+		};
+
+		TProto.getSidecar = function(){
+			var that = this,
+				data = {
+					review: this.segments.filter(function(seg){
+						return !seg.deleted && seg.review !== 'unreviewed';
+					}).map(function(seg){
+						var ref = that.sidecarRef(seg);
+						ref.state = seg.review;
+						return ref;
+					})
+				};
+			if(this.tl.comments){ data.comments = this.tl.comments.getSidecar(this); }
+			return data;
+		};
+
+		//Restores data saved with getSidecar, as an object or a JSON string
+		TProto.loadSidecar = function(data){
+			var that = this,
+				segs = this.segments.filter(function(seg){ return !seg.deleted; });
+			if(typeof data === 'string'){ data = JSON.parse(data); }
+			if(data.review){
+				data.review.forEach(function(entry, i){
+					//older sidecars list a state for each cue in order
+					var seg = (typeof entry === 'string')?segs[i]:that.sidecarSegment(entry),
+						state = (typeof entry === 'string')?entry:entry.state;
+					if(seg && Timeline.ReviewStates.indexOf(state) !== -1){ seg.review = state; }
+				});
 			}
+			if(data.comments && this.tl.comments){ this.tl.comments.loadSidecar(this, data.comments); }
+			this.tl.renderTrack(this);
 		};
 
 		TProto.getCursor = function(pos) {
@@ -400,7 +652,21 @@
 			var seg;
 
 			if(this.locked){ return 'locked'; }
+			switch(this.tl.currentTool){
+			case Timeline.MOVE:
+			case Timeline.RIPPLE:
+			case Timeline.SHIFT:
+				if(this.timingLocked){ return 'timingLocked'; }
+				break;
+			case Timeline.CREATE:
+			case Timeline.SPLIT:
+			case Timeline.DELETE:
+				if(this.timingLocked){ return 'timingLocked'; }
+				if(this.textLocked){ return 'textLocked'; }
+				break;
+			}
 			if(this.tl.currentTool === Timeline.CREATE){ return 'add'; }
+			if(this.tl.currentTool === Timeline.SHIFT){ return 'move'; }
 
 			seg = this.segFromPos(pos);
 			return seg?seg.getCursor(pos):'pointer';
@@ -470,9 +736,23 @@
 			this.tl.renderTrack(this);
 		};
 
+		//Takes the next line of text for auto fill off the buffer as a command
+		function takeLine(track){
+			var text = track.linebuffer.pop();
+			track.tl.commandStack.push({
+				file: track.id,
+				description: "Took a line from the buffer of "+track.id,
+				context: track,
+				undo: function(){ this.linebuffer.push(text); },
+				redo: function(){ this.linebuffer.pop(); }
+			});
+			return text;
+		}
+
 		TProto.resolvePlaceholder = function(){
 			if(this.placeholder === null){ return; }
-			var seg, text,
+			var seg, cue,
+				that = this,
 				tl = this.tl,
 				view = tl.view,
 				placeholder = this.placeholder,
@@ -481,39 +761,18 @@
 
 			this.placeholder = null;
 			if(startx === endx){ return; }
+			cue = new this.cueType(
+				tl.quantize(view.pixelToTime(startx)),
+				tl.quantize(view.pixelToTime(endx)),
+				""
+			);
 			if(this.autoFill && this.linebuffer.length){
-				text = this.linebuffer.pop();
-				seg = cue2seg.call(this,
-					new this.cueType(
-						view.pixelToTime(startx),
-						view.pixelToTime(endx),
-						text
-					), tl.autoSelect);
-				tl.commandStack.push({
-					file: this.textTrack.label,
-					context: seg,
-					undo: function(){
-						this.track.linebuffer.push(text);
-						deleteSeg.call(this);
-					},
-					redo: function(){
-						this.track.linebuffer.pop();
-						recreateSeg.call(this);
-					}
+				seg = tl.transaction("Auto filled a cue on "+this.id, function(){
+					cue.text = takeLine(that);
+					return that.add(cue, tl.autoSelect);
 				});
 			}else{
-				seg = cue2seg.call(this,
-					new this.cueType(
-						view.pixelToTime(startx),
-						view.pixelToTime(endx),
-						""
-					), tl.autoSelect);
-				tl.commandStack.push({
-					file: this.textTrack.label,
-					context: seg,
-					undo: deleteSeg,
-					redo: recreateSeg
-				});
+				seg = this.add(cue, tl.autoSelect);
 			}
 			if(tl.automove){ tl.currentTool = Timeline.MOVE; }
 			tl.emit(new Timeline.Event("segcomplete",{track:this,segment:seg}));
@@ -524,6 +783,11 @@
 				visible = false, active = false,
 				s_segs = tl.selectedSegments,
 				selected = s_segs.filter(function(seg){return seg.track === that;});
+			if(!this.timingEditable || !this.textEditable){ return; }
+			if(selected.some(function(seg){ return seg.partners().length > 0; })){
+				tl.deleteSegments(selected);
+				return;
+			}
 			selected.forEach(function(seg){
 				s_segs.splice(s_segs.indexOf(seg),1);
 				visible = visible || seg.visible;
@@ -534,6 +798,7 @@
 			// Save the delete
 			tl.commandStack.push({
 				file: this.textTrack.label,
+				description: Timeline.describeEdit("Deleted", selected),
 				context: selected,
 				redo: deleteMultiSeg(this),
 				undo: recreateMultiSeg(this)
@@ -557,18 +822,85 @@
 			var that = this,
 				tl = this.tl,
 				copy = tl.selectedSegments.filter(function(seg){return seg.track === that;});
-			if(copy.length > 0){ tl.toCopy = copy; }
+			if(copy.length > 0){
+				tl.toCopy = copy;
+				if(tl.clipboard){ tl.clipboard.write(copy); }
+			}
 		};
 
-		TProto.paste = function(toCopy){
-			var ncues, added,
-				toMime = this.mime,
+		TProto.paste = function(toCopy, opts){
+			var toMime = this.mime;
+			return this.pasteCues(toCopy.map(function(seg){
+				return TimedText.getCueConverter(seg.track.mime, toMime)(seg.cue);
+			}), opts);
+		};
+
+		//Moves a group of cues so that the earliest one starts at the given time,
+		//keeping the whole group inside the timeline
+		function offsetCues(tl, ncues, time){
+			var start = Infinity, end = 0, delta;
+			ncues.forEach(function(cue){
+				start = Math.min(start, cue.startTime);
+				end = Math.max(end, cue.endTime);
+			});
+			delta = Math.max(Math.min(tl.quantize(time), tl.length - (end - start)), 0) - start;
+			ncues.forEach(function(cue){
+				cue.startTime += delta;
+				cue.endTime += delta;
+			});
+		}
+
+		/**
+		 * Inserts new cues of this track's type as one command.
+		 * Options:
+		 *   at: a time to move the group to, so that its earliest cue starts there
+		 *   overlap: 'ripple' to push overlapping and later cues out of the way, up to the end of the timeline,
+		 *            'refuse' to paste nothing if the cues would overlap existing ones
+		 * Returns the new segments, or null if the paste was refused or the track is timing or text locked.
+		 **/
+		TProto.pasteCues = function(ncues, opts){
+			var added, first, last, blocking, later, end, delta,
+				before = [], after = [],
 				that = this, tl = this.tl,
 				textTrack = this.textTrack,
 				segments = this.segments;
 
+			if(!this.timingEditable || !this.textEditable){ return null; }
+			if(!ncues.length){ return []; }
+			opts = opts || {};
+
+			if(typeof opts.at === 'number'){ offsetCues(tl, ncues, opts.at); }
+			first = Math.min.apply(Math, ncues.map(function(cue){ return cue.startTime; }));
+			last = Math.max.apply(Math, ncues.map(function(cue){ return cue.endTime; }));
+
+			switch(opts.overlap){
+			case 'refuse':
+				blocking = segments.filter(function(seg){
+					return !seg.deleted && ncues.some(function(cue){
+						return seg.startTime < cue.endTime && seg.endTime > cue.startTime;
+					});
+				});
+				if(blocking.length){
+					tl.emit(new Timeline.Event('pasterefused',{track:this,segments:blocking}));
+					return null;
+				}
+				break;
+			case 'ripple':
+				//a cue that starts before the pasted ones but runs into them is pushed along too
+				later = segments.filter(function(seg){ return !seg.deleted && seg.endTime > first; });
+				if(later.length && last > later[0].startTime){
+					before = tl.getTimings(later);
+					//like the ripple tool, stop pushing when the last cue reaches the end of the timeline
+					end = Math.max.apply(Math, before.map(function(t){ return t.endTime; }));
+					delta = Math.max(Math.min(last - later[0].startTime, tl.length - end), 0);
+					after = before.map(function(t){
+						return {segment: t.segment, startTime: t.startTime + delta, endTime: t.endTime + delta};
+					});
+					tl.applyTimings(after);
+				}
+			}
+
 			//can't use push because tracks aren't arraylike
-			ncues = toCopy.map(function(seg){ return TimedText.getCueConverter(seg.track.mime, toMime)(seg.cue); });
 			ncues.forEach(function(cue){ textTrack.addCue(cue); });
 
 			added = ncues.map(function(cue){ return new Segment(that, cue); });
@@ -578,8 +910,15 @@
 			tl.commandStack.push({
 				context: this,
 				file: this.textTrack.label,
-				redo: repaste.bind(this,added),
-				undo: unpaste.bind(this,added)
+				description: Timeline.describeEdit("Pasted", added),
+				redo: function(){
+					tl.applyTimings(after);
+					repaste.call(that,added);
+				},
+				undo: function(){
+					unpaste.call(that,added);
+					tl.applyTimings(before);
+				}
 			});
 			tl.emit(new Timeline.Event('paste',{segments:added}));
 			tl.emit(new Timeline.Event('create',{segments:added}));
@@ -588,10 +927,774 @@
 				tl.emit(new Timeline.Event('activechange'));
 			}
 			tl.renderTrack(this);
+			return added;
 		};
 
+		function swapSegments(from, to){
+			var tl = this.tl,
+				s_segs = tl.selectedSegments;
+			from.forEach(function(seg){
+				var i = s_segs.indexOf(seg);
+				if(~i){ s_segs.splice(i,1); }
+				seg.selected = false;
+				seg.deleted = true;
+			});
+			to.forEach(function(seg){ seg.deleted = false; });
+			if(from.length){ tl.emit(new Timeline.Event('delete',{segments:from})); }
+			if(to.length){ tl.emit(new Timeline.Event('create',{segments:to})); }
+			this.textTrack.activeCues.refreshCues();
+			tl.emit(new Timeline.Event('activechange'));
+			tl.renderTrack(this);
+		}
+
+		/**
+		 * Replaces every cue on the track with new cues of this track's type as one command,
+		 * e.g. to restore a snapshot. Returns the new segments, or null if the track is
+		 * timing or text locked.
+		 **/
+		TProto.restoreCues = function(ncues){
+			var added, removed,
+				that = this, tl = this.tl,
+				textTrack = this.textTrack;
+
+			if(!this.timingEditable || !this.textEditable){ return null; }
+			removed = this.segments.filter(function(seg){ return !seg.deleted; });
+
+			ncues.forEach(function(cue){ textTrack.addCue(cue); });
+			added = ncues.map(function(cue){ return new Segment(that, cue); });
+			[].push.apply(this.segments, added);
+			this.segments.sort(order);
+
+			swapSegments.call(this, removed, added);
+			tl.commandStack.push({
+				context: this,
+				file: this.id,
+				description: "Replaced the cues on "+this.id,
+				redo: swapSegments.bind(this,removed,added),
+				undo: swapSegments.bind(this,added,removed)
+			});
+			return added;
+		};
+
+		TProto.findOverlaps = function(){
+			var pairs = [],
+				segs = this.segments.filter(function(seg){ return !seg.deleted; });
+			segs.forEach(function(a,i){
+				var j, b;
+				//segments are sorted by start time, so we can stop at the first one that starts after a ends
+				for(j=i+1;(b=segs[j]) && b.startTime < a.endTime;j++){
+					pairs.push([a,b]);
+				}
+			});
+			return pairs;
+		};
+
+		function trimEarlier(a,b){
+			if(b.startTime - a.startTime < 0.001){ return false; }
+			a.endTime = b.startTime;
+			return true;
+		}
+
+		function trimLater(a,b){
+			if(b.endTime - a.endTime < 0.001){ return false; }
+			b.startTime = a.endTime;
+			return true;
+		}
+
+		function splitDifference(a,b){
+			var mid = (b.startTime + Math.min(a.endTime,b.endTime))/2;
+			if(mid - a.startTime < 0.001 || b.endTime - mid < 0.001){ return false; }
+			a.endTime = mid;
+			b.startTime = mid;
+			return true;
+		}
+
+		TProto.resolveOverlaps = function(strategy){
+			var resolve, work, changed = [];
+			if(!this.timingEditable){ return 0; }
+			switch(strategy){
+			case 'trim-earlier':
+				resolve = function(a,b){ return trimEarlier(a,b) || trimLater(a,b); };
+				break;
+			case 'trim-later':
+				resolve = function(a,b){ return trimLater(a,b) || trimEarlier(a,b); };
+				break;
+			case 'split':
+				resolve = splitDifference;
+				break;
+			default:
+				throw new Error("Unknown Overlap Strategy: "+strategy);
+			}
+
+			//work on copies of the timings so that the whole thing can be applied as one edit
+			work = this.tl.getTimings(this.segments.filter(function(seg){ return !seg.deleted; }));
+			work.forEach(function(a,i){
+				var j, b;
+				for(j=i+1;(b=work[j]) && b.startTime < a.endTime;j++){
+					if(!resolve(a,b)){ continue; }
+					if(changed.indexOf(a) === -1){ changed.push(a); }
+					if(changed.indexOf(b) === -1){ changed.push(b); }
+				}
+			});
+
+			if(changed.length){
+				this.tl.moveSegments(changed, Timeline.describeEdit("Resolved overlaps of", changed.map(function(t){ return t.segment; })));
+			}
+			return changed.length;
+		};
+
+		/** Retiming **/
+
+		//Shows where segments would end up, given {segment, startTime, endTime} records
+		TProto.preview = function(timings){
+			this.ghosts = timings;
+			this.tl.renderTrack(this);
+		};
+
+		TProto.clearPreview = function(){
+			if(!this.ghosts.length){ return; }
+			this.ghosts = [];
+			this.tl.renderTrack(this);
+		};
+
+		function linearTimings(track, scale, offset){
+			var tl = track.tl,
+				min = tl.frameDuration;
+			function map(t){ return Math.min(Math.max(tl.quantize(scale*t + offset), 0), tl.length); }
+			return track.segments.filter(function(seg){
+				return !seg.deleted;
+			}).map(function(seg){
+				var t = {segment: seg, startTime: map(seg.startTime), endTime: map(seg.endTime)};
+				//cues pushed past either end of the timeline keep a minimum duration instead of vanishing
+				if(t.endTime - t.startTime < min){
+					if(t.startTime + min <= tl.length){ t.endTime = t.startTime + min; }
+					else{ t.startTime = t.endTime - min; }
+				}
+				return t;
+			}).filter(function(t){
+				return t.startTime !== t.segment.startTime || t.endTime !== t.segment.endTime;
+			});
+		}
+
+		/**
+		 * Applies a linear transform to the times of every cue on the track, as one command.
+		 * The transform comes from either
+		 *   opts.points: two {segment, time} pairs giving the correct start times of two cues, or
+		 *   opts.from and opts.to: a source and target frame rate, e.g. 23.976 and 25.
+		 * With opts.preview, the new positions are only drawn as ghost segments.
+		 * Returns the transform as {scale, offset}.
+		 **/
+		TProto.retime = function(opts){
+			var scale, offset, p1, p2, timings;
+			if(!this.timingEditable){ return null; }
+			if(opts.points){
+				p1 = opts.points[0];
+				p2 = opts.points[1];
+				if(!p1 || !p2 || p1.segment.startTime === p2.segment.startTime){
+					throw new Error("Retiming needs two reference cues with different start times");
+				}
+				scale = (p2.time - p1.time)/(p2.segment.startTime - p1.segment.startTime);
+				offset = p1.time - scale*p1.segment.startTime;
+			}else if(opts.from && opts.to){
+				scale = Timeline.exactRate(opts.from)/Timeline.exactRate(opts.to);
+				offset = 0;
+			}else{
+				throw new Error("Retiming needs reference points or a pair of frame rates");
+			}
+			if(!(scale > 0)){ throw new Error("Retiming cannot reverse the order of cues"); }
+
+			timings = linearTimings(this, scale, offset);
+			if(opts.preview){
+				this.preview(timings);
+			}else{
+				if(this.tl.snapshots){ this.tl.snapshots.take(this, "Before retiming", true); }
+				this.ghosts = [];
+				this.syncPoints = [];
+				this.tl.moveSegments(timings);
+				this.tl.emit(new Timeline.Event('retime',{track:this,scale:scale,offset:offset}));
+			}
+			return {scale: scale, offset: offset};
+		};
+
+		//Marks the correct start time of a cue; two such points preview a two-point sync
+		TProto.addSyncPoint = function(seg, time){
+			this.syncPoints = this.syncPoints.filter(function(p){
+				return p.segment !== seg;
+			}).concat([{segment: seg, time: time}]).slice(-2);
+			if(this.syncPoints.length === 2 && this.syncPoints[0].segment.startTime !== seg.startTime){
+				this.retime({points: this.syncPoints, preview: true});
+			}
+		};
+
+		TProto.clearSyncPoints = function(){
+			this.syncPoints = [];
+			this.clearPreview();
+		};
+
+		/** Timing normalization **/
+
+		var normalDefaults = {
+			minDuration: 1,		//seconds
+			maxDuration: 7,		//seconds
+			minGap: 2,			//frames
+			chainThreshold: 0,	//frames; cues closer than this meet in the middle
+			closeGaps: 0		//seconds; gaps shorter than this are closed by extending the earlier cue
+		};
+
+		function normalOptions(tl, opts){
+			var o = {}, rate = Timeline.exactRate(opts.frameRate || tl.frameRate || 25);
+			Object.keys(normalDefaults).forEach(function(key){
+				o[key] = (typeof opts[key] === 'number')?opts[key]:normalDefaults[key];
+			});
+			o.minGap /= rate;
+			o.chainThreshold /= rate;
+			return o;
+		}
+
+		/**
+		 * Cleans up the timing of the given segments (all of them by default) as one command:
+		 * extends short cues, trims long ones, chains and closes small gaps, and enforces a minimum gap.
+		 * Options override the defaults above; gap sizes in frames use the timeline's frame rate,
+		 * or opts.frameRate, or 25fps. With opts.preview, changes are only drawn as ghost segments.
+		 * Returns a summary of the changes, which is also emitted as a 'normalize' event.
+		 **/
+		TProto.normalizeTimings = function(opts, segs){
+			var o, work, changed, summary,
+				that = this, tl = this.tl,
+				min = tl.frameDuration,
+				counts = {extended: 0, trimmed: 0, chained: 0, closed: 0, separated: 0};
+
+			if(!this.timingEditable){ return null; }
+			opts = opts || {};
+			o = normalOptions(tl, opts);
+
+			work = tl.getTimings((segs || this.segments).filter(function(seg){
+				return seg.track === that && !seg.deleted;
+			}).sort(order));
+
+			work.forEach(function(t, i){
+				var gap, mid,
+					next = work[i+1],
+					limit = next?next.startTime - o.minGap:tl.length;
+
+				if(t.endTime - t.startTime > o.maxDuration){
+					t.endTime = t.startTime + o.maxDuration;
+					counts.trimmed++;
+				}
+				if(t.endTime - t.startTime < o.minDuration && t.endTime < limit){
+					t.endTime = Math.min(t.startTime + o.minDuration, limit);
+					counts.extended++;
+				}
+				if(!next){ return; }
+
+				//chained cues meet in the middle; the minimum gap only applies to gaps that stay open
+				gap = next.startTime - t.endTime;
+				if(gap >= 0 && gap < o.chainThreshold){
+					if(gap > 0){
+						mid = tl.quantize((t.endTime + next.startTime)/2);
+						t.endTime = next.startTime = mid;
+						counts.chained++;
+					}
+				}else if(gap > o.minGap && gap < o.closeGaps){
+					t.endTime = next.startTime - o.minGap;
+					counts.closed++;
+				}else if(gap < o.minGap && next.startTime - o.minGap - t.startTime >= min){
+					t.endTime = next.startTime - o.minGap;
+					counts.separated++;
+				}
+			});
+
+			changed = work.filter(function(t){
+				t.startTime = tl.quantize(t.startTime);
+				t.endTime = tl.quantize(t.endTime);
+				return t.startTime !== t.segment.startTime || t.endTime !== t.segment.endTime;
+			});
+
+			summary = {
+				track: this,
+				preview: !!opts.preview,
+				segments: changed.map(function(t){ return t.segment; })
+			};
+			Object.keys(counts).forEach(function(key){ summary[key] = counts[key]; });
+
+			if(opts.preview){ this.preview(changed); }
+			else{
+				this.ghosts = [];
+				tl.moveSegments(changed, Timeline.describeEdit("Normalized the timing of", summary.segments));
+			}
+			tl.emit(new Timeline.Event('normalize',summary));
+			return summary;
+		};
+
+		function renderGhosts(ctx){
+			var tl = this.tl,
+				view = tl.view,
+				top = tl.getTrackTop(this);
+			ctx.save();
+			ctx.strokeStyle = tl.colors.ghost;
+			ctx.lineWidth = 2;
+			ctx.setLineDash([4,3]);
+			this.ghosts.forEach(function(t){
+				var left;
+				if(!tl.spanInView(t.startTime,t.endTime)){ return; }
+				left = view.timeToPixel(t.startTime);
+				ctx.strokeRect(left+1, top+1, Math.max(1, view.timeToPixel(t.endTime) - left - 2), tl.trackHeight-2);
+			});
+			ctx.restore();
+		}
+
+		/** Track changes **/
+
+		/**
+		 * Lists the differences between the segments and the baseline taken when
+		 * trackChanges was turned on, as {type, segment, before, after} where type
+		 * is 'insert', 'delete', 'text' or 'timing'. Because they are worked out from
+		 * the current state, undoing and redoing commands updates them too.
+		 **/
+		TProto.pendingChanges = function(){
+			var baseline = this.baseline,
+				changes = [];
+			if(baseline === null){ return changes; }
+			this.segments.forEach(function(seg){
+				var base = baseline[seg.uid];
+				if(!base || base.deleted){
+					if(!seg.deleted){ changes.push({type: 'insert', segment: seg, before: null, after: null}); }
+					return;
+				}
+				if(seg.deleted){
+					changes.push({type: 'delete', segment: seg, before: null, after: null});
+					return;
+				}
+				if(seg.cue.text !== base.text){
+					changes.push({type: 'text', segment: seg, before: base.text, after: seg.cue.text});
+				}
+				if(seg.startTime !== base.startTime || seg.endTime !== base.endTime){
+					changes.push({type: 'timing', segment: seg,
+						before: {startTime: base.startTime, endTime: base.endTime},
+						after: {startTime: seg.startTime, endTime: seg.endTime}});
+				}
+			});
+			return changes;
+		};
+
+		//Makes the given changes (all pending changes by default) part of the baseline
+		TProto.acceptChanges = function(changes){
+			var baseline = this.baseline;
+			if(baseline === null){ return; }
+			if(typeof changes === 'undefined'){ changes = this.pendingChanges(); }
+			if(!changes.length){ return; }
+			changes.forEach(function(c){
+				var seg = c.segment,
+					base = baseline[seg.uid];
+				switch(c.type){
+				case 'insert':
+				case 'delete':
+					baseline[seg.uid] = segState(seg);
+					break;
+				case 'text':
+					base.text = seg.cue.text;
+					break;
+				case 'timing':
+					base.startTime = seg.startTime;
+					base.endTime = seg.endTime;
+					break;
+				}
+			});
+			this.tl.renderTrack(this);
+			this.tl.emit(new Timeline.Event('redline',{track:this,action:'accept',changes:changes}));
+		};
+
+		//Sets {segment, before, after} segment states as a single edit
+		function applyStates(track, records, key){
+			var tl = track.tl,
+				s_segs = tl.selectedSegments,
+				created = [], removed = [];
+
+			records.forEach(function(r){
+				var i, seg = r.segment,
+					state = r[key];
+				if(seg.deleted !== state.deleted){
+					if(state.deleted){
+						i = s_segs.indexOf(seg);
+						if(~i){ s_segs.splice(i,1); }
+						seg.selected = false;
+						removed.push(seg);
+					}else{ created.push(seg); }
+					seg.deleted = state.deleted;
+				}
+				if(seg.cue.text !== state.text){
+					seg.cue.text = state.text;
+					tl.emit(new Timeline.Event('update',{segment:seg}));
+				}
+				if(seg.startTime !== state.startTime || seg.endTime !== state.endTime){
+					seg.startTime = state.startTime;
+					seg.endTime = state.endTime;
+					tl.emit(new Timeline.Event('move',{segment:seg}));
+				}
+			});
+			track.segments.sort(order);
+			if(removed.length){ tl.emit(new Timeline.Event('delete',{segments:removed})); }
+			if(created.length){ tl.emit(new Timeline.Event('create',{segments:created})); }
+			track.textTrack.activeCues.refreshCues();
+			tl.emit(new Timeline.Event('activechange'));
+			tl.renderTrack(track);
+		}
+
+		/**
+		 * Reverts the given changes (all pending changes by default) to the baseline as one command.
+		 * Text changes are skipped while the text is locked, and the rest while the timing is.
+		 **/
+		TProto.rejectChanges = function(changes){
+			var that = this,
+				tl = this.tl,
+				baseline = this.baseline,
+				records = [];
+			if(baseline === null){ return; }
+			if(typeof changes === 'undefined'){ changes = this.pendingChanges(); }
+			changes = changes.filter(function(c){
+				return (c.type === 'text')?that.textEditable:that.timingEditable;
+			});
+			if(!changes.length){ return; }
+			changes.forEach(function(c){
+				var seg = c.segment,
+					base = baseline[seg.uid],
+					record = null;
+				records.some(function(r){
+					if(r.segment !== seg){ return false; }
+					record = r;
+					return true;
+				});
+				if(record === null){
+					record = {segment: seg, before: segState(seg), after: segState(seg)};
+					records.push(record);
+				}
+				switch(c.type){
+				case 'insert':
+					record.after.deleted = true;
+					break;
+				case 'delete':
+					record.after.deleted = false;
+					break;
+				case 'text':
+					record.after.text = base.text;
+					break;
+				case 'timing':
+					record.after.startTime = base.startTime;
+					record.after.endTime = base.endTime;
+					break;
+				}
+			});
+			applyStates(this, records, 'after');
+			tl.commandStack.push({
+				file: this.id,
+				description: "Rejected "+changes.length+(changes.length === 1?" change":" changes")+" on "+this.id,
+				context: this,
+				redo: applyStates.bind(null,this,records,'after'),
+				undo: applyStates.bind(null,this,records,'before')
+			});
+			tl.emit(new Timeline.Event('redline',{track:this,action:'reject',changes:changes}));
+		};
+
+		TProto.acceptChange = function(change){ this.acceptChanges([change]); };
+		TProto.rejectChange = function(change){ this.rejectChanges([change]); };
+
+		function renderRedlines(ctx){
+			var tl = this.tl,
+				view = tl.view,
+				colors = tl.colors,
+				top = tl.getTrackTop(this),
+				height = tl.trackHeight,
+				baseline = this.baseline;
+
+			ctx.save();
+			ctx.lineWidth = 2;
+			this.pendingChanges().forEach(function(c){
+				var left, width,
+					seg = c.segment,
+					start = seg.startTime,
+					end = seg.endTime;
+				if(c.type === 'timing'){
+					start = Math.min(start, c.before.startTime);
+					end = Math.max(end, c.before.endTime);
+				}
+				if(!tl.spanInView(start,end)){ return; }
+				left = view.timeToPixel(seg.startTime);
+				width = Math.max(1, view.timeToPixel(seg.endTime) - left);
+				ctx.setLineDash([]);
+				switch(c.type){
+				case 'insert':
+					ctx.strokeStyle = colors.redlineInsert;
+					ctx.strokeRect(left+1, top+1, width-2, height-2);
+					break;
+				case 'delete':
+					ctx.fillStyle = colors.redlineDelete;
+					ctx.strokeStyle = colors.redlineDelete;
+					ctx.globalAlpha = 0.4;
+					ctx.fillRect(left, top, width, height);
+					ctx.globalAlpha = 1;
+					ctx.beginPath();
+					ctx.moveTo(left, top + height/2);
+					ctx.lineTo(left + width, top + height/2);
+					ctx.stroke();
+					break;
+				case 'text':
+					ctx.strokeStyle = colors.redlineChange;
+					ctx.beginPath();
+					ctx.moveTo(left, top + height - 5);
+					ctx.lineTo(left + width, top + height - 5);
+					ctx.stroke();
+					break;
+				case 'timing':
+					left = view.timeToPixel(baseline[seg.uid].startTime);
+					ctx.strokeStyle = colors.redlineChange;
+					ctx.setLineDash([4,3]);
+					ctx.strokeRect(left+1, top+1, Math.max(1, view.timeToPixel(baseline[seg.uid].endTime) - left - 2), height-2);
+					break;
+				}
+			});
+			ctx.restore();
+		}
+
+		/** Text reflow **/
+
+		//words that read badly at the end of a line
+		var clingers = ['a','an','the','of','to','in','on','at','by','for','from','with','and','or','but','my','your','his','her','its','our','their'];
+
+		function plain(text){ return text.replace(/<[^>]*>/g,''); }
+
+		//Splits text into words at whitespace outside of markup
+		function toWords(text){
+			var i, c,
+				intag = false,
+				words = [],
+				word = '';
+			for(i=0;i<text.length;i++){
+				c = text.charAt(i);
+				if(c === '<'){ intag = true; }
+				else if(c === '>'){ intag = false; }
+				else if(!intag && /\s/.test(c)){
+					if(word){ words.push(word); }
+					word = '';
+					continue;
+				}
+				word += c;
+			}
+			if(word){ words.push(word); }
+			return words;
+		}
+
+		function lineLength(words){
+			return words.reduce(function(n, word){ return n + plain(word).length; }, words.length - 1);
+		}
+
+		//Negative for a good place to end a line, positive for a bad one
+		function breakCost(word){
+			word = plain(word);
+			if(/[.!?;:]["')\]]*$/.test(word)){ return -10; }
+			if(/,["')\]]*$/.test(word)){ return -5; }
+			if(~clingers.indexOf(word.toLowerCase())){ return 20; }
+			return 0;
+		}
+
+		//Lower is better; upper lines longer than the ones below them are penalised most
+		function layoutCost(lines){
+			var cost = 0, lens = lines.map(lineLength);
+			lines.slice(0,-1).forEach(function(line, i){
+				var d = lens[i] - lens[i+1];
+				cost += breakCost(line[line.length-1]) + (d > 0?d*2:-d/2);
+			});
+			return cost;
+		}
+
+		function bestLayout(words, k, maxCPL){
+			var best = null, bestCost = Infinity;
+			(function place(start, lines){
+				var end, line, cost;
+				if(lines.length === k-1){
+					line = words.slice(start);
+					if(lineLength(line) > maxCPL){ return; }
+					lines = lines.concat([line]);
+					cost = layoutCost(lines);
+					if(cost < bestCost){
+						best = lines;
+						bestCost = cost;
+					}
+					return;
+				}
+				for(end = start+1; end <= words.length-(k-1-lines.length); end++){
+					line = words.slice(start,end);
+					if(lineLength(line) > maxCPL){ break; }
+					place(end, lines.concat([line]));
+				}
+			}(0, []));
+			return best;
+		}
+
+		//Fits words into the fewest lines possible, or returns null if they don't fit
+		function layout(words, maxCPL, maxLines){
+			var k, lines;
+			for(k = 1; k <= Math.min(maxLines, words.length); k++){
+				lines = bestLayout(words, k, maxCPL);
+				if(lines){ return lines; }
+			}
+			return null;
+		}
+
+		function greedyLayout(words, maxCPL){
+			return words.reduce(function(lines, word){
+				var line = lines[lines.length-1];
+				if(line.length && lineLength(line.concat([word])) > maxCPL){ lines.push([word]); }
+				else{ line.push(word); }
+				return lines;
+			},[[]]);
+		}
+
+		function joinLines(lines){
+			return lines.map(function(line){ return line.join(' '); }).join('\n');
+		}
+
+		//Picks the word at which to divide an oversize cue, preferring halves that fit and end at punctuation
+		function splitPoint(words, maxCPL, maxLines){
+			var w, len1, len2, cost,
+				best = -1, bestCost = Infinity,
+				fallback = -1, fallbackCost = Infinity;
+			for(w = 1; w < words.length; w++){
+				len1 = lineLength(words.slice(0,w));
+				len2 = lineLength(words.slice(w));
+				cost = Math.abs(len1 - len2) + 2*breakCost(words[w-1]);
+				if(cost < fallbackCost){
+					fallback = w;
+					fallbackCost = cost;
+				}
+				if(cost < bestCost && layout(words.slice(0,w), maxCPL, maxLines) && layout(words.slice(w), maxCPL, maxLines)){
+					best = w;
+					bestCost = cost;
+				}
+			}
+			return ~best?best:fallback;
+		}
+
+		/**
+		 * Re-breaks the text of the given segments (all of them by default) to fit
+		 * opts.maxCPL characters per line and opts.maxLines lines, falling back on the
+		 * track's validation profile. Cues that cannot fit are flagged, or with opts.split
+		 * divided into two timed segments. Everything is applied as one command.
+		 **/
+		TProto.reflow = function(opts, segs){
+			var maxCPL, maxLines, profile, result,
+				that = this, tl = this.tl,
+				before = [], after = [],
+				splits = [], oversize = [], cleared = false;
+
+			if(!this.textEditable){ return null; }
+			opts = opts || {};
+			profile = tl.validator?tl.validator.profileFor(this):null;
+			maxCPL = opts.maxCPL || (profile && profile.maxCPL) || 42;
+			maxLines = opts.maxLines || (profile && profile.maxLines) || 2;
+
+			(segs || this.segments).filter(function(seg){
+				return seg.track === that && !seg.deleted;
+			}).forEach(function(seg){
+				var lines, w, len1, len2, stime, texts, fits,
+					cue = seg.cue,
+					words = toWords(cue.text);
+				if(seg.oversize !== null){
+					seg.oversize = null;
+					cleared = true;
+				}
+				if(!words.length){ return; }
+				lines = layout(words, maxCPL, maxLines);
+				if(lines){
+					lines = joinLines(lines);
+					if(lines !== cue.text){
+						before.push({segment: seg, text: cue.text});
+						after.push({segment: seg, text: lines});
+					}
+					return;
+				}
+				if(opts.split && that.timingEditable && words.length > 1){
+					w = splitPoint(words, maxCPL, maxLines);
+					len1 = lineLength(words.slice(0,w));
+					len2 = lineLength(words.slice(w));
+					stime = tl.quantize(cue.startTime + (cue.endTime - cue.startTime)*len1/(len1+len2));
+					if(stime > cue.startTime && stime < cue.endTime){
+						fits = [];
+						texts = [words.slice(0,w), words.slice(w)].map(function(half){
+							var hlines = layout(half, maxCPL, maxLines);
+							fits.push(!!hlines);
+							return joinLines(hlines || greedyLayout(half, maxCPL));
+						});
+						splits.push({first: seg, time: stime, texts: texts, fits: fits, oldtext: cue.text, oldend: cue.endTime});
+						return;
+					}
+				}
+				oversize.push(seg);
+			});
+
+			tl.applyTexts(after);
+			splits.forEach(function(s){
+				var cue = s.first.cue;
+				cue.endTime = s.time;
+				cue.text = s.texts[0];
+				s.second = cue2seg.call(that, new that.cueType(tl.frameRate?s.time:s.time+0.001, s.oldend, s.texts[1]), false);
+				tl.emit(new Timeline.Event('split',{first:s.first,second:s.second}));
+				//halves that are still too long are flagged like any other oversize cue
+				if(!s.fits[0]){ oversize.push(s.first); }
+				if(!s.fits[1]){ oversize.push(s.second); }
+			});
+
+			if(after.length || splits.length){
+				tl.commandStack.push({
+					file: this.textTrack.label,
+					description: Timeline.describeEdit("Reflowed", after.map(function(t){ return t.segment; }).concat(
+						splits.map(function(s){ return s.first; })
+					)),
+					context: this,
+					redo: function(){
+						tl.applyTexts(after);
+						splits.forEach(function(s){ resplitSeg.call(that, s.first, s.second, s.time, s.texts[0]); });
+					},
+					undo: function(){
+						splits.forEach(function(s){ unsplitSeg.call(that, s.first, s.second, s.oldtext); });
+						tl.applyTexts(before);
+					}
+				});
+			}
+
+			oversize.forEach(function(seg){
+				seg.oversize = "Does not fit in "+maxLines+" lines of "+maxCPL+" characters";
+			});
+			if(oversize.length || cleared){ tl.renderTrack(this); }
+
+			result = {
+				track: this,
+				segments: after.map(function(t){ return t.segment; }),
+				split: splits.map(function(s){ return [s.first, s.second]; }),
+				oversize: oversize
+			};
+			tl.emit(new Timeline.Event('reflow',result));
+			return result;
+		};
+
+		function renderOverlaps(ctx){
+			var tl = this.tl,
+				view = tl.view,
+				top = tl.getTrackTop(this);
+			ctx.save();
+			ctx.fillStyle = tl.colors.overlap;
+			this.findOverlaps().forEach(function(pair){
+				var start = pair[1].startTime,
+					end = Math.min(pair[0].endTime, pair[1].endTime),
+					left;
+				if(!tl.spanInView(start,end)){ return; }
+				left = view.timeToPixel(start);
+				ctx.fillRect(left, top, Math.max(1, view.timeToPixel(end) - left), tl.trackHeight);
+			});
+			ctx.restore();
+		}
+
 		TProto.render = function(){
-			var segs, dir, idstr,
+			var segs, dir, idstr, progress,
 				id_width, type_pos,
 				tl = this.tl,
 				ctx = tl.ctx,
@@ -610,6 +1713,11 @@
 			ctx.fillStyle = font.color;
 
 			idstr = this.id + " -- " + this.kind + " (" + this.language + ")";
+			progress = this.reviewProgress();
+			if(progress.unreviewed < progress.total){
+				idstr += " -- " + progress.approved + "/" + progress.total + " approved";
+				if(progress['needs-fix']){ idstr += ", " + progress['needs-fix'] + " to fix"; }
+			}
 			id_width = ctx.measureText(idstr).width + tl.width/25;
 			type_pos = tl.width*0.99 - ctx.measureText(this.typeName).width;
 
@@ -619,12 +1727,26 @@
 			ctx.fillStyle = tl.colors[tl.commandStack.isFileSaved(this.id)?'tintSaved':'tintUnsaved'];
 			ctx.fillRect(0, 0, tl.width, tl.trackHeight);
 
+			if(this.timingLocked){
+				ctx.fillStyle = tl.colors.timingLocked;
+				ctx.fillRect(0, 0, tl.width, tl.trackHeight);
+			}
+			if(this.textLocked){
+				ctx.fillStyle = tl.colors.textLocked;
+				ctx.fillRect(0, 0, tl.width, tl.trackHeight);
+			}
+
 			ctx.restore();
 			ctx.save();
 
 			ctx.textBaseline = 'top';
 
 			dir = tl.cache.dir;
+			this.segments.forEach(function(seg){ seg.duplicateId = false; });
+			segs = this.findDuplicateIds();
+			Object.keys(segs).forEach(function(id){
+				segs[id].forEach(function(seg){ seg.duplicateId = true; });
+			});
 			segs = this.segments.filter(function(seg){return seg.visible;});
 			this.visibleSegments = segs;
 			segs.forEach(function(seg){
@@ -632,6 +1754,9 @@
 				else{ seg.render(); }
 			});
 			selected.forEach(function(seg){ seg.render(); });
+			renderOverlaps.call(this, ctx);
+			renderGhosts.call(this, ctx);
+			if(this.baseline !== null){ renderRedlines.call(this, ctx); }
 			if(this.placeholder !== null){ this.placeholder.render(); }
 			tl.cache.dir = dir;
 
@@ -668,8 +1793,10 @@
 				return;
 			}
 			if(tl.currentTool === Timeline.CREATE){
+				if(!this.timingEditable || !this.textEditable){ return; }
 				this.placeholder = tl.activeElement = new Placeholder(tl, this, pos.x);
 			}else if(tl.currentTool === Timeline.SHIFT){
+				if(this.timingLocked){ return; }
 				selected = this.segments.filter(function(seg){ return seg.selected; });
 				if(selected.length < 2){ selected = this.segments; }
 				selected.forEach(function(seg){ seg.mouseDown(pos); });
@@ -686,7 +1813,7 @@
 		TProto.mouseMove = function(pos){
 			var change;
 			if(typeof pos !== 'object' || this.locked || this.ctrl){ return; }
-			if(this.tl.currentTool === Timeline.SHIFT){
+			if(this.tl.currentTool === Timeline.SHIFT && !this.timingLocked){
 				change = this.segments.reduce(function(acc,seg){ return acc || seg.mouseMove(pos); }, false);
 				if(change){
 					this.textTrack.activeCues.refreshCues();
@@ -703,13 +1830,21 @@
 				this.ctrl = false;
 				target = tl.trackFromPos(pos);
 				if(this !== target){ target.paste(tl.toCopy); }
-			}else if(tl.currentTool === Timeline.SHIFT){
+			}else if(tl.currentTool === Timeline.SHIFT && !this.timingLocked){
 				selected = this.segments.filter(function(seg){ return seg.selected; });
 				if(selected.length < 2){ selected = this.segments; }
 				selected.forEach(function(seg){ seg.moving = false; });
 				delta = selected[0].startTime - selected[0].initialStart;
+				if(selected.some(function(seg){ return seg.partners().length > 0; })){
+					tl.commitTimings(selected.map(function(seg){
+						return {segment:seg,startTime:seg.initialStart,endTime:seg.initialEnd};
+					}), tl.getTimings(selected), Timeline.describeEdit("Shifted", selected));
+					tl.emit(new Timeline.Event('shift',{segments:selected,delta:delta}));
+					return;
+				}
 				tl.commandStack.push({
 					file: this.textTrack.label,
+					description: Timeline.describeEdit("Shifted", selected),
 					context: this,
 					redo: reshift.bind(this,selected,delta),
 					undo: reshift.bind(this,selected,-delta)
@@ -725,6 +1860,7 @@
 		function textChangeGenerator(text){
 			return function(){
 				this.cue.text = text;
+				this.tl.emit(new Timeline.Event('update',{segment:this}));
 				this.tl.renderTrack(this.track);
 			};
 		}
@@ -751,41 +1887,6 @@
 			};
 		}
 
-		function resplitSeg(s1,s2,stime){
-			var tl = this.tl,
-				active = s1.active,
-				visible = s1.visible;
-
-			s2.deleted = false;
-			s1.cue.endTime = stime;
-
-			tl.emit(new Timeline.Event('split',{first:s1,second:s2}));
-			if(active){
-				this.textTrack.activeCues.refreshCues();
-				tl.emit(new Timeline.Event('activechange'));
-			}
-			if(visible){ tl.renderTrack(this); }
-		}
-
-		function unsplitSeg(s1,s2){
-			var i, tl = this.tl,
-				s_segs = tl.selectedSegments;
-
-			s2.deleted = true;
-
-			i = s_segs.indexOf(s2);
-			if(~i){ s_segs.splice(i,1); }
-
-			s1.cue.endTime = s2.cue.endTime;
-
-			tl.emit(new Timeline.Event('merge',{segments:[s1,s2]}));
-			if(s1.active){
-				this.textTrack.activeCues.refreshCues();
-				tl.emit(new Timeline.Event('activechange'));
-			}
-			if(s1.visible){ tl.renderTrack(this); }
-		}
-
 		Object.defineProperties(SProto,{
 			selectable: { get: function(){ return !this.track.locked; }, enumerable: true },
 			active: { get: function(){ return this.cue.active;}, enumerable: true },
@@ -803,6 +1904,7 @@
 					if(cue.id === id){ return id; }
 					tl.commandStack.push({
 						file: this.track.id,
+						description: Timeline.describeEdit("Changed the id of", [this]),
 						context:this,
 						undo: idChangeGenerator(cue.id),
 						redo: idChangeGenerator(id)
@@ -831,11 +1933,13 @@
 					if(cue.text === t){ return t; }
 					tl.commandStack.push({
 						file: this.track.id,
+						description: Timeline.describeEdit("Edited", [this]),
 						context:this,
 						undo: textChangeGenerator(cue.text),
 						redo: textChangeGenerator(t)
 					});
 					cue.text = t;
+					tl.emit(new Timeline.Event('update',{segment:this}));
 					tl.renderTrack(this.track);
 					return t;
 				},
@@ -850,6 +1954,7 @@
 				case Timeline.DELETE: return 'remove';
 				case Timeline.SPLIT: return 'split';
 				case Timeline.MOVE:
+				case Timeline.RIPPLE:
 					return (function(i){
 						return	i === 1?'resizeR':
 								i === -1?'resizeL':
@@ -886,13 +1991,32 @@
 			else{ this.select(); }
 		};
 
-		SProto.copy = function(){ this.tl.toCopy = [this]; };
+		SProto.copy = function(){
+			var tl = this.tl;
+			tl.toCopy = [this];
+			if(tl.clipboard){ tl.clipboard.write([this]); }
+		};
+
+		//The live segments linked to this one on other tracks whose timing can be edited
+		SProto.partners = function(){
+			var seg = this, tl = this.tl;
+			if(!this.linkGroup){ return []; }
+			return this.linkGroup.filter(function(p){
+				return p !== seg && !p.deleted && p.track.timingEditable && tl.getTrack(p.track.id) === p.track;
+			});
+		};
 
 		SProto.del = function(){
 			var i, tl = this.tl,
 				active = this.active,
 				s_segs = tl.selectedSegments;
 
+			if(!this.track.timingEditable || !this.track.textEditable){ return; }
+			if(this.partners().length){
+				tl.deleteSegments([this]);
+				return;
+			}
+
 			this.deleted = true;
 
 			i = s_segs.indexOf(this);
@@ -901,6 +2025,7 @@
 			// Save the delete
 			tl.commandStack.push({
 				file: this.track.textTrack.label,
+				description: Timeline.describeEdit("Deleted", [this]),
 				context: this,
 				redo: deleteSeg,
 				undo: recreateSeg
@@ -913,27 +2038,119 @@
 			tl.renderTrack(this.track);
 		};
 
-		SProto.split = function(pos){
-			var cp, seg,
-				tl = this.tl,
-				stime = tl.view.pixelToTime(pos.x),
-				track = this.track,
-				cue = this.cue;
+		//Finds the space or line break outside of markup that is closest to the given offset
+		function nearestBreak(text, target){
+			var i, c, d,
+				intag = false,
+				best = -1,
+				bestd = Infinity;
+			for(i=0;i<text.length;i++){
+				c = text.charAt(i);
+				if(c === '<'){ intag = true; }
+				else if(c === '>'){ intag = false; }
+				else if(!intag && /\s/.test(c)){
+					d = Math.abs(i - target);
+					if(d < bestd){
+						best = i;
+						bestd = d;
+					}
+				}
+			}
+			return best;
+		}
 
-			cp = new track.cueType(stime+0.001, cue.endTime, cue.text);
+		function divideText(text, offset){
+			return [
+				text.substr(0,offset).replace(/\s+$/,''),
+				text.substr(offset).replace(/^\s+/,'')
+			];
+		}
+
+		//Splits seg without saving a command; returns what is needed to redo and undo it
+		function split(seg, time, offset){
+			var nseg, texts,
+				tl = seg.tl,
+				track = seg.track,
+				cue = seg.cue,
+				oldtext = cue.text,
+				oldend = cue.endTime,
+				stime = tl.quantize(time);
+
+			if(stime <= cue.startTime || stime >= cue.endTime){ return null; }
+
+			if(typeof offset !== 'number' || offset < 0){
+				offset = nearestBreak(oldtext, oldtext.length*(stime - cue.startTime)/(cue.endTime - cue.startTime));
+				//a single word stays with whichever half gets more of the time
+				if(offset === -1){ offset = (stime - cue.startTime)*2 > (cue.endTime - cue.startTime)?oldtext.length:0; }
+			}
+			texts = divideText(oldtext, offset);
 
 			cue.endTime = stime;
+			cue.text = texts[0];
 
-			seg = track.add(cp,false);
+			//on a frame grid the halves can share the boundary frame edge
+			nseg = cue2seg.call(track, new track.cueType(tl.frameRate?stime:stime+0.001, oldend, texts[1]), false);
+			return {first:seg, second:nseg, time:stime, text:texts[0], oldtext:oldtext};
+		}
 
-			// Save the split
+		//Saves a split made by split() as a command
+		function recordSplit(part){
+			var seg = part.first,
+				track = seg.track,
+				tl = seg.tl;
 			tl.commandStack.push({
-				file: track.textTrack.label,
-				redo: resplitSeg.bind(track,this,seg,stime),
-				undo: unsplitSeg.bind(track,this,seg)
+				file: track.id,
+				description: Timeline.describeEdit("Split", [seg]),
+				context: track,
+				redo: resplitSeg.bind(track,seg,part.second,part.time,part.text),
+				undo: unsplitSeg.bind(track,seg,part.second,part.oldtext)
 			});
-			tl.emit(new Timeline.Event('split',{first:this,second:seg}));
-			tl.renderTrack(track);
+			tl.emit(new Timeline.Event('split',{first:seg,second:part.second}));
+		}
+
+		/**
+		 * Splits the segment in two at the given time.
+		 * The text is divided at offset if one is given (e.g., the editor's caret),
+		 * or else at the word or line break nearest the proportional position of the split.
+		 * Linked partners are split at the same time, and their second halves linked together.
+		 * Returns the new second segment, or null if the time is not inside the segment
+		 * or the track is timing or text locked.
+		 **/
+		SProto.splitAt = function(time, offset){
+			var that = this,
+				tl = this.tl,
+				track = this.track,
+				partners = this.partners().filter(function(seg){
+					return seg.track.timingEditable && seg.track.textEditable;
+				});
+
+			if(!track.timingEditable || !track.textEditable){ return null; }
+			// Save the split and the splits of any partners as one command
+			return tl.transaction(Timeline.describeEdit("Split", [this].concat(partners)), function(){
+				var group, parts = [split(that, time, offset)];
+				if(parts[0] === null){ return null; }
+				partners.forEach(function(seg){
+					var part = split(seg, time, -1);
+					if(part){ parts.push(part); }
+				});
+				parts.forEach(recordSplit);
+				if(parts.length === 1){
+					tl.renderTrack(track);
+				}else{
+					group = parts.map(function(part){ return part.second; });
+					group.forEach(function(seg){ seg.linkGroup = group; });
+					tl.render();
+				}
+				return parts[0].second;
+			});
+		};
+
+		SProto.reflow = function(opts){
+			return this.track.reflow(opts, [this]);
+		};
+
+		SProto.split = function(pos){
+			return this.splitAt(this.tl.view.pixelToTime(pos.x));
 		};
 
 		SProto.mergeWithSelected = function(){
@@ -990,6 +2207,40 @@
 					0;
 		};
 
+		//Segments that a ripple edit on seg will push along
+		function laterSegments(seg){
+			var tl = seg.tl,
+				end = seg.endTime,
+				tracks = tl.rippleAllTracks?
+					tl.tracks.filter(function(track){ return track.timingEditable; }):
+					[seg.track];
+			return tracks.reduce(function(acc,track){
+				return acc.concat(track.segments.filter(function(s){
+					return s !== seg && !s.deleted && s.startTime >= end;
+				}));
+			},[]);
+		}
+
+		function ripple(seg, delta){
+			var tl = seg.tl,
+				tracks = [],
+				changed = false;
+			seg.rippleDelta = delta;
+			seg.rippled.forEach(function(t){
+				var s = t.segment,
+					active = s.active;
+				s.startTime = t.startTime + delta;
+				s.endTime = t.endTime + delta;
+				if(tracks.indexOf(s.track) === -1){ tracks.push(s.track); }
+				if(active !== s.active){ changed = true; }
+			});
+			if(changed){
+				tracks.forEach(function(track){ track.textTrack.activeCues.refreshCues(); });
+			}
+			if(tracks.length > 1 || (tracks.length && tracks[0] !== seg.track)){ tl.render(); }
+			return changed;
+		}
+
 		// Event handlers
 		SProto.mouseDown = function(pos) {
 			var tl = this.tl;
@@ -1000,6 +2251,9 @@
 
 			tl.activeElement = this;
 
+			if(!this.track.timingEditable && (tl.currentTool === Timeline.MOVE ||
+				tl.currentTool === Timeline.RIPPLE || tl.currentTool === Timeline.SHIFT)){ return; }
+
 			switch(tl.currentTool){
 			case Timeline.MOVE:
 				this.resizeSide = this.getMouseSide(pos);
@@ -1007,6 +2261,14 @@
 				this.initialStart = this.startTime;
 				this.initialEnd = this.endTime;
 				break;
+			case Timeline.RIPPLE:
+				this.resizeSide = this.getMouseSide(pos);
+				this.moving = true;
+				this.initialStart = this.startTime;
+				this.initialEnd = this.endTime;
+				this.rippled = tl.getTimings(laterSegments(this));
+				this.rippleDelta = 0;
+				break;
 			case Timeline.SHIFT:
 				this.moving = true;
 				this.initialStart = this.startTime;
@@ -1020,9 +2282,15 @@
 
 		SProto.move = function(start,end){
 			var redo = moveGenerator(start,end);
+			if(!this.track.timingEditable){ return; }
+			if(this.partners().length){
+				this.tl.moveSegments([{segment:this,startTime:start,endTime:end}], Timeline.describeEdit("Moved", [this]));
+				return;
+			}
 			this.tl.commandStack.push({
 				context: this,
 				file: this.track.textTrack.label,
+				description: Timeline.describeEdit("Moved", [this]),
 				undo: moveGenerator(this.startTime,this.endTime),
 				redo: redo
 			});
@@ -1043,19 +2311,51 @@
 					}
 					break;
 				case Timeline.MOVE:
+					if(!this.moving){ break; }
 					this.moving = false;
+					tl.clearSnapGuide();
 					track = this.track;
 					track.segments.sort(order);
+					if(this.partners().length){
+						tl.commitTimings(
+							[{segment:this,startTime:this.initialStart,endTime:this.initialEnd}],
+							tl.getTimings([this]),
+							Timeline.describeEdit("Moved", [this])
+						);
+						break;
+					}
 					track.render();
 					// Save the move
 					tl.commandStack.push({
 						context: this,
 						file: track.textTrack.label,
+						description: Timeline.describeEdit("Moved", [this]),
 						redo: moveGenerator(this.startTime,this.endTime),
 						undo: moveGenerator(this.initialStart,this.initialEnd)
 					});
 					tl.renderTrack(track);
 					break;
+				case Timeline.RIPPLE:
+					if(!this.moving){ break; }
+					this.moving = false;
+					tl.clearSnapGuide();
+					track = this.track;
+					track.segments.sort(order);
+					// Save the edit and everything it pushed along as one command
+					tl.commitTimings(
+						[{segment:this,startTime:this.initialStart,endTime:this.initialEnd}].concat(this.rippled),
+						tl.getTimings([this].concat(this.rippled.map(function(t){ return t.segment; }))),
+						Timeline.describeEdit("Rippled", [this])
+					);
+					tl.emit(new Timeline.Event('ripple',{
+						segment:this,
+						segments:this.rippled.map(function(t){ return t.segment; }),
+						delta:this.rippleDelta
+					}));
+					this.rippled = [];
+					this.rippleDelta = 0;
+					tl.render();
+					break;
 				case Timeline.DELETE:
 					this.del();
 					break;
@@ -1065,13 +2365,16 @@
 		SProto.mouseMove = function(pos) {
 			var tl = this.tl,
 				activeStart = this.active,
-				newTime, maxStartTime;
+				rippling = tl.currentTool === Timeline.RIPPLE,
+				exclude = [this],
+				newTime, maxStartTime, side, delta, limited, rchange;
 
 			if(this.deleted || !this.selectable || !this.moving){ return false; }
 
 			newTime = tl.view.pixelToTime(this.startingPos + pos.x - tl.mouseDownPos.x);
 
 			if(tl.currentTool === Timeline.SHIFT){
+				newTime = tl.quantize(newTime);
 				maxStartTime = tl.length - this.startingLength;
 				if(newTime < 0){ newTime = 0; }
 				else if(newTime > maxStartTime){ newTime = maxStartTime; }
@@ -1079,25 +2382,31 @@
 				this.endTime = newTime + this.startingLength;
 				tl.emit(new Timeline.Event('move',{segment:this}));
 				if(activeStart !== this.active){ return true; }
-			}else if(tl.currentTool === Timeline.MOVE){
+			}else if(tl.currentTool === Timeline.MOVE || rippling){
+				if(rippling){
+					exclude = exclude.concat(this.rippled.map(function(t){ return t.segment; }));
+				}
 				switch(this.resizeSide){
 				case 0:
+					newTime = tl.quantize(newTime + tl.findSnap([newTime, newTime + this.startingLength], exclude, pos));
 					maxStartTime = tl.length - this.startingLength;
 					if(newTime < 0){ newTime = 0; }
 					else if(newTime > maxStartTime){ newTime = maxStartTime; }
 					this.startTime = newTime;
-					this.endTime = newTime + this.startingLength;
+					this.endTime = tl.quantize(newTime + this.startingLength);
 					tl.emit(new Timeline.Event('move',{segment:this}));
 					break;
 				case -1:
+					newTime = tl.quantize(newTime + tl.findSnap([newTime], exclude, pos));
 					if(newTime < 0){ newTime = 0; }
-					else if(newTime >= this.endTime){ newTime = this.endTime - 0.001; }
+					else if(newTime >= this.endTime){ newTime = this.endTime - tl.frameDuration; }
 					this.startTime = newTime;
 					tl.emit(new Timeline.Event('resizel',{segment:this}));
 					break;
 				case 1:
 					newTime += this.startingLength;
-					if(newTime <= this.startTime){ newTime = this.startTime + 0.001; }
+					newTime = tl.quantize(newTime + tl.findSnap([newTime], exclude, pos));
+					if(newTime <= this.startTime){ newTime = this.startTime + tl.frameDuration; }
 					else if(newTime > tl.length){ newTime = tl.length; }
 					this.endTime = newTime;
 					tl.emit(new Timeline.Event('resizer',{segment:this}));
@@ -1105,7 +2414,30 @@
 				default:
 					throw new Error("Invalid State");
 				}
+				//Moves and right-edge trims push later segments as far as the end moved;
+				//left-edge trims leave the end in place and push them by the change in length
+				if(rippling){
+					side = this.resizeSide;
+					delta = (side === -1)?this.initialStart - this.startTime:this.endTime - this.initialEnd;
+					limited = delta;
+					this.rippled.forEach(function(t){
+						if(t.endTime + limited > tl.length){ limited = tl.length - t.endTime; }
+						if(side === -1 && t.segment.track === this.track && t.startTime + limited < this.endTime){
+							limited = this.endTime - t.startTime;
+						}
+					},this);
+					//keep the edited segment's own change in step with what the others could take
+					if(limited !== delta){
+						if(side === -1){ this.startTime = this.initialStart - limited; }
+						else{
+							if(side === 0){ this.startTime = this.initialStart + limited; }
+							this.endTime = this.initialEnd + limited;
+						}
+					}
+					rchange = ripple(this, limited);
+				}
 				tl.renderTrack(this.track);
+				if(rchange){ tl.emit(new Timeline.Event("activechange")); }
 				if(activeStart !== this.active){
 					this.track.textTrack.activeCues.refreshCues();
 					tl.emit(new Timeline.Event("activechange"));
@@ -1195,6 +2527,30 @@
 			ctx.fillText(text, direction === 'ltr' ? tl.segmentTextPadding : shape.width - tl.segmentTextPadding, y);
 		}
 
+		var diffColors = {
+			'retimed': 'diffRetimed',
+			'text-changed': 'diffText',
+			'added': 'diffAdded',
+			'removed': 'diffRemoved'
+		};
+
+		//A speech bubble in the corner, dimmed once every thread is resolved
+		function renderCommentMarker(ctx, tl, threads){
+			var size = Timeline.Comments.markerSize;
+			if(!threads.length){ return; }
+			ctx.fillStyle = tl.colors[threads.every(function(t){ return t.resolved; })?'commentResolved':'comment'];
+			ctx.beginPath();
+			ctx.moveTo(3, 3);
+			ctx.lineTo(3 + size, 3);
+			ctx.lineTo(3 + size, 3 + size*0.7);
+			ctx.lineTo(3 + size*0.5, 3 + size*0.7);
+			ctx.lineTo(3 + size*0.2, 3 + size);
+			ctx.lineTo(3 + size*0.2, 3 + size*0.7);
+			ctx.lineTo(3, 3 + size*0.7);
+			ctx.closePath();
+			ctx.fill();
+		}
+
 		SProto.render = function() {
 			if(this.deleted){ return; }
 
@@ -1218,6 +2574,38 @@
 				renderImage(ctx, shape, images.segmentLeftDark, images.segmentRightDark, images.segmentMidDark);
 			}
 
+			if(this.issues.length || this.oversize !== null){
+				ctx.fillStyle = tl.colors.issue;
+				ctx.fillRect(0, 0, shape.width, shape.height);
+			}
+
+			if(this.duplicateId){
+				ctx.fillStyle = tl.colors.duplicateId;
+				ctx.fillRect(0, 0, shape.width, 3);
+			}
+
+			if(this.partners().length){
+				ctx.fillStyle = tl.colors.link;
+				ctx.fillRect(0, shape.height - 3, shape.width, 3);
+			}
+
+			if(this.diff !== null && this.diff !== 'unchanged'){
+				ctx.strokeStyle = tl.colors[diffColors[this.diff]];
+				ctx.lineWidth = 2;
+				ctx.strokeRect(1, 1, shape.width - 2, shape.height - 2);
+			}
+
+			if(tl.comments && shape.width > 12){
+				renderCommentMarker(ctx, tl, tl.comments.forSegment(this));
+			}
+
+			if(this.review !== 'unreviewed' && shape.width > 12){
+				ctx.fillStyle = tl.colors[this.review === 'approved'?'approved':'needsFix'];
+				ctx.beginPath();
+				ctx.arc(shape.width - 7, 7, 4, 0, 2*Math.PI);
+				ctx.fill();
+			}
+
 			if(shape.width > 2*padding){
 				// Set the clipping bounds
 				ctx.beginPath();
@@ -52,6 +52,8 @@ var Timeline = (function(TimedText,EditorWidgets){
 			trackSeeker = params.hasOwnProperty('trackSeeker')?!!params.trackSeeker:true,
 			currentTool = (typeof params.tool === 'number')?params.tool:Timeline.SELECT,
 			automove = !!params.automove,
+			snap = params.hasOwnProperty('snap')?!!params.snap:true,
+			frameRate = (typeof params.frameRate === 'number' && params.frameRate > 0)?params.frameRate:null,
 			abRepeatOn = false,
 			that = this;
 
@@ -192,6 +194,30 @@ var Timeline = (function(TimedText,EditorWidgets){
 					this.emit(new Timeline.Event(val?'cuerepeaton':'cuerepeatoff'));
 					return val;
 				}
+			},
+			frameRate: { // In frames per second, or null to time in milliseconds
+				get: function(){ return frameRate; },
+				set: function(val){
+					val = (typeof val === 'number' && val > 0)?val:null;
+					if(val === frameRate){ return val; }
+					frameRate = val;
+					this.dropFrame = isDropFrameRate(val);
+					this.render();
+					this.emit(new Timeline.Event('frameratechange',{frameRate:val}));
+					this.emit(new Timeline.Event('timeupdate'));
+					return val;
+				}
+			},
+			snap: {
+				get: function(){ return snap; },
+				set: function(val){
+					val = !!val;
+					if(val === snap){ return val; }
+					snap = val;
+					if(!snap){ this.clearSnapGuide(); }
+					this.emit(new Timeline.Event(val?'snapon':'snapoff'));
+					return val;
+				}
 			}
 		});
 
@@ -199,6 +225,8 @@ var Timeline = (function(TimedText,EditorWidgets){
 			return Promise.resolve(lconf(txt));
 		};
 		this.autoSelect = !!params.autoSelect;
+		this.rippleAllTracks = !!params.rippleAllTracks;
+		this.normalizeOptions = params.normalize || {};
 		this.autoCueStatus = Timeline.AutoCueResolved;
 		this.autoCueStart = 0;
 
@@ -221,6 +249,26 @@ var Timeline = (function(TimedText,EditorWidgets){
 		this.repeatB = null;
 		this.abRepeatSetting = false;
 
+		//snapping
+		this.snapThreshold = params.snapThreshold || 8; // In pixels
+		this.snapTargets = {
+			segments: true,
+			marker: true,
+			repeat: true,
+			ticks: true
+		};
+		if(typeof params.snapTo === 'object'){
+			Object.keys(this.snapTargets).forEach(function(key){
+				if(params.snapTo.hasOwnProperty(key)){ this.snapTargets[key] = !!params.snapTo[key]; }
+			},this);
+		}
+		this.snapGuide = null;
+		this.keyIncrement = 1;
+
+		//timecodes
+		this.dropFrame = params.hasOwnProperty('dropFrame')?!!params.dropFrame:isDropFrameRate(frameRate);
+		this.startTimecode = params.startTimecode || 0;
+
 		// Sizing
 		this.height = this.keyHeight + this.trackPadding + this.sliderHeight;
 
@@ -239,6 +287,38 @@ var Timeline = (function(TimedText,EditorWidgets){
 		this.activeMenu = null;
 		this.menuOptions = Timeline.Menu?[].slice.call(Timeline.Menu):[]; //just in case .Menu is overwritten
 
+		//the last hit of findNext/findPrevious
+		this.lastFound = null;
+
+		//the last segment nextUnreviewed stepped to
+		this.lastReviewed = null;
+
+		//set by a CaptionEditor attached to this timeline
+		this.captionEditor = null;
+
+		//the Timeline.Comparison made by compareTracks
+		this.comparison = null;
+
+		//commands collected by the transaction in progress
+		this.pendingCommands = null;
+
+		//the element holding the control bar and canvases
+		this.root = node;
+
+		//the media element played and paused by the keyboard shortcuts
+		this.media = media;
+
+		//keyboard shortcuts
+		this.keymap = Timeline.Keymap?new Timeline.Keymap(this, params.keys):null;
+
+		//the other optional modules, when their scripts are loaded
+		this.clipboard = Timeline.Clipboard?new Timeline.Clipboard(this):null;
+		this.validator = Timeline.Validator?new Timeline.Validator(this):null;
+		this.comments = Timeline.Comments?new Timeline.Comments(this):null;
+		this.snapshots = Timeline.Snapshots?new Timeline.Snapshots(this):null;
+		this.history = Timeline.History?new Timeline.History(this):null;
+		this.autosave = (Timeline.Autosave && params.autosave !== false)?new Timeline.Autosave(this, params.autosave):null;
+
 		// Canvas
 		this.canvas = canvas;
 		this.context = canvas.getContext('2d');
@@ -311,6 +391,14 @@ var Timeline = (function(TimedText,EditorWidgets){
 	Timeline.REPEAT = 5;
 	Timeline.SPLIT = 6;
 	Timeline.SHIFT = 7;
+	Timeline.RIPPLE = 8;
+
+	Timeline.FrameRates = [23.976, 24, 25, 29.97, 30, 50, 59.94];
+
+	Timeline.ReviewStates = ['unreviewed', 'approved', 'needs-fix'];
+
+	//Events fired when cue times or text change, for modules that keep derived state in step
+	Timeline.ChangeEvents = ['move','resizel','resizer','create','delete','split','merge','paste','unpaste','update','replace'];
 
 	Timeline.AutoCueResolved = 0;
 	Timeline.AutoCueCueing = 1;
@@ -384,6 +472,13 @@ var Timeline = (function(TimedText,EditorWidgets){
 		}
 	}
 
+	function shortcutLabel(tl,command){
+		var keys;
+		if(!tl.keymap || typeof command !== 'string'){ return ""; }
+		keys = tl.keymap.keysFor(command);
+		return keys.length?"<span class=\"tl-menu-key\">"+Timeline.Keymap.label(keys[0])+"</span>":"";
+	}
+
 	function buildOption(menu,pos,ovars,opt){
 		var ul, li,
 			vars = ovars;
@@ -398,7 +493,7 @@ var Timeline = (function(TimedText,EditorWidgets){
 		li.innerHTML = "<a>"+String(
 			typeof opt.label === 'undefined'?opt.name:
 			typeof opt.label === 'function'?opt.label.call(this,pos,vars):opt.label
-		)+"</a>";
+		)+shortcutLabel(this.timeline,opt.command)+"</a>";
 		if(typeof opt.action === 'function'){
 			li.addEventListener('click',clickMenu.bind(this,opt.action,pos,vars),false);
 		}
@@ -453,7 +548,7 @@ var Timeline = (function(TimedText,EditorWidgets){
 		this.activeMenu = menu;
 	};
 
-	Proto.addMenuItem = function(path,config){ //label, action, condition, calc, index
+	Proto.addMenuItem = function(path,config){ //label, action, condition, calc, command, index
 		var optname, idx, opt,
 			sequence = path.split('.'),
 			submenu = this.menuOptions;
@@ -491,6 +586,9 @@ var Timeline = (function(TimedText,EditorWidgets){
 		if(typeof config.condition === 'function'){
 			opt.condition = config.condition;
 		}
+		if(typeof config.command === 'string'){
+			opt.command = config.command;
+		}
 	};
 
 	Proto.getMenuItems = function(path){
@@ -678,6 +776,7 @@ var Timeline = (function(TimedText,EditorWidgets){
 		);
 		this.commandStack.push({
 			file: oname,
+			description: (name === oname)?"Changed the settings of "+oname:"Renamed "+oname+" to "+name,
 			redo: redo,
 			undo: undo
 		});
@@ -849,6 +948,722 @@ var Timeline = (function(TimedText,EditorWidgets){
 		resolveTrack(this, tid).add(cue, select);
 	};
 
+	/**
+	 * Splits every segment under the given time on the given tracks (all unlocked tracks by default);
+	 * tracks with timing or text locked are skipped.
+	 * If a segment's cue is open in the caption editor, its text is divided at the caret.
+	 * Returns the newly created second halves.
+	 **/
+	Proto.splitAtTime = function(time, tids){
+		var editor = this.captionEditor,
+			tracks = (typeof tids === 'undefined')?this.tracks:[].concat(tids).map(resolveTrack.bind(null,this)),
+			created = [];
+		tracks.forEach(function(track){
+			if(!track.timingEditable || !track.textEditable){ return; }
+			track.segments.filter(function(seg){
+				return !seg.deleted && seg.startTime < time && seg.endTime > time;
+			}).forEach(function(seg){
+				var nseg = seg.splitAt(time, editor?editor.caretOffset(seg.cue):-1);
+				if(nseg){ created.push(nseg); }
+			});
+		});
+		return created;
+	};
+
+	/** Selection functions **/
+
+	//Selected segments whose timing may be edited, i.e. not on locked or timing locked tracks
+	function editableSelection(tl){
+		return tl.selectedSegments.filter(function(seg){ return seg.track.timingEditable && !seg.deleted; });
+	}
+
+	//Segments may only be added or removed where both timing and text can be edited
+	function structureEditable(seg){
+		return seg.track.timingEditable && seg.track.textEditable && !seg.deleted;
+	}
+
+	function tracksOf(segs){
+		var tracks = [];
+		segs.forEach(function(seg){
+			if(tracks.indexOf(seg.track) === -1){ tracks.push(seg.track); }
+		});
+		return tracks;
+	}
+
+	//Pushes a command that edits several files. The stack only tracks command.file,
+	//so the others are marked unsaved whenever the command is done, undone or redone.
+	function pushAcross(stack, files, command){
+		var redo = command.redo,
+			undo = command.undo,
+			others = files.slice(1);
+		function markUnsaved(){
+			others.forEach(function(file){ stack.setFileUnsaved(file); });
+		}
+		command.redo = function(){
+			redo();
+			markUnsaved();
+		};
+		command.undo = function(){
+			undo();
+			markUnsaved();
+		};
+		stack.push(command);
+		markUnsaved();
+	}
+
+	function trackIds(tracks){
+		return tracks.map(function(track){ return track.id; });
+	}
+
+	//Cues are named by id, or else by their position on the track
+	function cueName(seg){
+		return seg.cue.id || (seg.track.segments.filter(function(s){
+			return !s.deleted || s === seg;
+		}).indexOf(seg) + 1);
+	}
+
+	//Summarizes an edit for the undo history, e.g. "Moved cue 42 on en" or "Deleted 3 cues on fr"
+	function describeEdit(verb, segs){
+		return verb + " " + (segs.length === 1?"cue "+cueName(segs[0]):segs.length+" cues") +
+			" on " + tracksOf(segs).map(function(track){ return track.id; }).join(", ");
+	}
+
+	Timeline.describeEdit = describeEdit;
+
+	function setDeleted(tl, segs, deleted){
+		var s_segs = tl.selectedSegments,
+			tracks = tracksOf(segs),
+			changed = [];
+		segs.forEach(function(seg){
+			var i = s_segs.indexOf(seg);
+			if(~i){ s_segs.splice(i,1); }
+			if(seg.active && changed.indexOf(seg.track) === -1){ changed.push(seg.track); }
+			seg.selected = false;
+			seg.deleted = deleted;
+		});
+		tl.emit(new Timeline.Event(deleted?'delete':'create',{segments:segs}));
+		changed.forEach(function(track){ track.textTrack.activeCues.refreshCues(); });
+		if(changed.length){ tl.emit(new Timeline.Event('activechange')); }
+		if(tracks.length > 1){ tl.render(); }
+		else if(tracks.length){ tl.renderTrack(tracks[0]); }
+	}
+
+	//Deletes the segments and their linked partners as one command
+	Proto.deleteSegments = function(segs){
+		var tracks, stack = this.commandStack;
+		segs = segs.filter(structureEditable);
+		segs.slice().forEach(function(seg){
+			seg.partners().forEach(function(p){
+				if(segs.indexOf(p) === -1 && structureEditable(p)){ segs.push(p); }
+			});
+		});
+		if(!segs.length){ return; }
+		tracks = tracksOf(segs);
+		setDeleted(this, segs, true);
+		pushAcross(stack, trackIds(tracks), {
+			file: tracks[0].id,
+			description: describeEdit("Deleted", segs),
+			context: this,
+			redo: setDeleted.bind(null,this,segs,true),
+			undo: setDeleted.bind(null,this,segs,false)
+		});
+	};
+
+	//Deletes every selected segment on every unlocked track as one command
+	Proto.deleteSelection = function(){
+		this.deleteSegments(this.selectedSegments);
+	};
+
+	//Moves every selected segment on every unlocked track by delta seconds as one command;
+	//the delta is limited so that the group keeps its shape within the timeline
+	Proto.shiftSelection = function(delta){
+		var segs = editableSelection(this),
+			start = Infinity, end = 0;
+		if(!segs.length){ return 0; }
+		segs.forEach(function(seg){
+			start = Math.min(start, seg.startTime);
+			end = Math.max(end, seg.endTime);
+		});
+		delta = Math.min(Math.max(this.quantize(delta), -start), this.length - end);
+		if(delta === 0){ return 0; }
+		this.moveSegments(segs.map(function(seg){
+			return {segment: seg, startTime: seg.startTime + delta, endTime: seg.endTime + delta};
+		}), describeEdit("Shifted", segs));
+		return delta;
+	};
+
+	//Like shiftSelection, but in frames; without a frame rate a frame counts as a tenth of a second
+	Proto.nudgeSelection = function(frames){
+		return this.shiftSelection(frames*(this.frameRate?this.frameDuration:0.1));
+	};
+
+	Proto.copySelection = function(){
+		var copy = this.selectedSegments.filter(function(seg){ return !seg.deleted; });
+		if(copy.length > 0){
+			this.toCopy = copy.sort(Timeline.TextTrack.order);
+			if(this.clipboard){ this.clipboard.write(copy); }
+		}
+		return copy;
+	};
+
+	/** Search functions **/
+
+	function escapeRegExp(str){
+		return str.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&');
+	}
+
+	//Builds a global RegExp from a query string (or RegExp) and find options
+	function buildPattern(query, opts){
+		var source = (query instanceof RegExp)?query.source:
+					opts.regex?query:escapeRegExp(query),
+			caseSensitive = (query instanceof RegExp)?!query.ignoreCase:!!opts.caseSensitive;
+		if(opts.wholeWord){ source = '\\b(?:'+source+')\\b'; }
+		return new RegExp(source, caseSensitive?'g':'gi');
+	}
+
+	function searchTracks(tl, opts){
+		return (typeof opts.tracks === 'undefined')?tl.tracks:
+				[].concat(opts.tracks).map(resolveTrack.bind(null,tl));
+	}
+
+	/**
+	 * Returns the segments whose text matches the query, in time order.
+	 * Options: tracks (track ids, defaults to all), regex, caseSensitive, wholeWord
+	 **/
+	Proto.find = function(query, opts){
+		var pattern, tl = this;
+		opts = opts || {};
+		if(query === '' || query === null || typeof query === 'undefined'){ return []; }
+		pattern = buildPattern(query, opts);
+		return searchTracks(this, opts).reduce(function(found, track){
+			return found.concat(track.segments.filter(function(seg){
+				pattern.lastIndex = 0;
+				return !seg.deleted && pattern.test(seg.text);
+			}));
+		},[]).sort(function(a,b){
+			return (a.startTime - b.startTime) || (tl.trackIndices[a.track.id] - tl.trackIndices[b.track.id]);
+		});
+	};
+
+	function replacement(text, query, opts){
+		//outside of regex mode, $ is not special
+		return (opts.regex || query instanceof RegExp)?text:text.replace(/\$/g,'$$$$');
+	}
+
+	//Replaces every match on every unlocked searched track as one command; returns the changed segments
+	Proto.replaceAll = function(query, text, opts){
+		var pattern, records, segs;
+		opts = opts || {};
+		pattern = buildPattern(query, opts);
+		text = replacement(text, query, opts);
+		records = this.find(query, opts).filter(function(seg){
+			return seg.track.textEditable;
+		}).map(function(seg){
+			return {segment: seg, text: seg.text.replace(pattern, text)};
+		}).filter(function(t){ return t.text !== t.segment.text; });
+		segs = records.map(function(t){ return t.segment; });
+		this.changeTexts(records, describeEdit("Replaced text in", segs));
+		this.emit(new Timeline.Event('replace',{segments:segs}));
+		return segs;
+	};
+
+	//Replaces the matches in a single segment
+	Proto.replace = function(seg, query, text, opts){
+		opts = opts || {};
+		if(!seg.track.textEditable){ return false; }
+		text = seg.text.replace(buildPattern(query, opts), replacement(text, query, opts));
+		if(text === seg.text){ return false; }
+		seg.text = text;
+		this.emit(new Timeline.Event('replace',{segments:[seg]}));
+		return true;
+	};
+
+	//Selects the segment after (or before) the last one stepped to, kept in tl[last], or the time marker,
+	//and centres the view on it; returns its index in segs, or -1 if there are none
+	function stepTo(tl, segs, dir, last){
+		var i, seg,
+			//continue from the last hit even if it is no longer in the list
+			time = tl[last]?tl[last].startTime:tl.currentTime;
+		if(!segs.length){ return -1; }
+		i = segs.indexOf(tl[last]);
+		if(~i){ i = (i + dir + segs.length) % segs.length; }
+		else if(dir > 0){
+			for(i = 0; i < segs.length && segs[i].startTime <= time; i++){}
+			if(i === segs.length){ i = 0; }
+		}else{
+			for(i = segs.length-1; i >= 0 && segs[i].startTime >= time; i--){}
+			if(i < 0){ i = segs.length-1; }
+		}
+		seg = segs[i];
+		tl[last] = seg;
+		tl.tracks.forEach(function(track){ track.clearSelection(); });
+		seg.select();
+		tl.view.center((seg.startTime + seg.endTime)/2);
+		tl.render();
+		return i;
+	}
+
+	function findStep(tl, query, opts, dir){
+		var matches = tl.find(query, opts),
+			i = stepTo(tl, matches, dir, 'lastFound');
+		if(i === -1){ return null; }
+		tl.emit(new Timeline.Event('found',{segment:matches[i],index:i,count:matches.length}));
+		return matches[i];
+	}
+
+	//Selects the next match after the last one found (or after the time marker) and centres the view on it
+	Proto.findNext = function(query, opts){
+		return findStep(this, query, opts || {}, 1);
+	};
+
+	Proto.findPrevious = function(query, opts){
+		return findStep(this, query, opts || {}, -1);
+	};
+
+	/** Batch text functions **/
+
+	Proto.getTexts = function(segs){
+		return segs.map(function(seg){
+			return {segment: seg, text: seg.cue.text};
+		});
+	};
+
+	//Sets the text of a list of {segment, text} records without touching the command stack
+	Proto.applyTexts = function(records){
+		var tl = this,
+			tracks = [],
+			active = false;
+		records.forEach(function(t){
+			var seg = t.segment;
+			seg.cue.text = t.text;
+			active = active || seg.active;
+			if(tracks.indexOf(seg.track) === -1){ tracks.push(seg.track); }
+			tl.emit(new Timeline.Event('update',{segment:seg}));
+		});
+		if(active){
+			tracks.forEach(function(track){ track.textTrack.activeCues.refreshCues(); });
+			this.emit(new Timeline.Event('activechange'));
+		}
+		if(tracks.length > 1){ this.render(); }
+		else if(tracks.length){ this.renderTrack(tracks[0]); }
+	};
+
+	//Records a batch of text changes that has already been applied as a single command,
+	//described for the undo history as "Edited ..." unless a description is given
+	Proto.recordTexts = function(before, after, description){
+		var tracks = [], stack = this.commandStack;
+		after.forEach(function(t){
+			if(tracks.indexOf(t.segment.track) === -1){ tracks.push(t.segment.track); }
+		});
+		if(!tracks.length){ return; }
+		pushAcross(stack, trackIds(tracks), {
+			file: tracks[0].id,
+			description: description || describeEdit("Edited", after.map(function(t){ return t.segment; })),
+			context: this,
+			redo: this.applyTexts.bind(this,after),
+			undo: this.applyTexts.bind(this,before)
+		});
+	};
+
+	Proto.changeTexts = function(records, description){
+		var before = this.getTexts(records.map(function(t){ return t.segment; }));
+		this.applyTexts(records);
+		this.recordTexts(before, records, description);
+	};
+
+	/** Cue numbering **/
+
+	function formatNumber(n, format){
+		if(typeof format === 'function'){ return String(format(n)); }
+		n = String(n);
+		while(n.length < (format || 0)){ n = '0'+n; }
+		return n;
+	}
+
+	//The id renumber gives the i-th live cue
+	function sequentialId(opts, i){
+		var start = (typeof opts.start === 'number')?opts.start:1;
+		return (opts.prefix || '')+formatNumber(start+i, opts.format);
+	}
+
+	function applyIds(tl, track, records){
+		records.forEach(function(t){
+			var old = t.segment.cue.id;
+			t.segment.cue.id = t.id;
+			track.reindexSegment(t.segment, old);
+		});
+		tl.renderTrack(track);
+	}
+
+	/**
+	 * Gives the cues of a track sequential ids as one command.
+	 * Options: start (defaults to 1), prefix, and format,
+	 * which is either a function of the number or a zero-padded width.
+	 **/
+	Proto.renumber = function(tid, opts){
+		var before, after,
+			track = resolveTrack(this, tid);
+		opts = opts || {};
+		after = track.segments.filter(function(seg){
+			return !seg.deleted;
+		}).map(function(seg, i){
+			return {segment: seg, id: sequentialId(opts, i)};
+		}).filter(function(t){ return t.id !== t.segment.cue.id; });
+		if(!after.length){ return []; }
+		before = after.map(function(t){ return {segment: t.segment, id: t.segment.cue.id}; });
+
+		applyIds(this, track, after);
+		this.commandStack.push({
+			file: track.id,
+			description: describeEdit("Renumbered", after.map(function(t){ return t.segment; })),
+			context: this,
+			redo: applyIds.bind(null,this,track,after),
+			undo: applyIds.bind(null,this,track,before)
+		});
+		after = after.map(function(t){ return t.segment; });
+		this.emit(new Timeline.Event('renumber',{track:track,segments:after}));
+		return after;
+	};
+
+	/** Review functions **/
+
+	function applyReview(tl, records, key){
+		var segs = records.map(function(r){ return r.segment; }),
+			tracks = tracksOf(segs);
+		records.forEach(function(r){ r.segment.review = r[key]; });
+		tl.emit(new Timeline.Event('review',{segments:segs}));
+		if(tracks.length > 1){ tl.render(); }
+		else{ tl.renderTrack(tracks[0]); }
+	}
+
+	//Sets the review status of the segments to one of Timeline.ReviewStates as one command
+	Proto.setReview = function(segs, status){
+		var records, tracks,
+			stack = this.commandStack;
+		if(Timeline.ReviewStates.indexOf(status) === -1){
+			throw new Error("Unknown Review Status: "+status);
+		}
+		records = segs.filter(function(seg){
+			return !seg.deleted && seg.review !== status;
+		}).map(function(seg){
+			return {segment: seg, before: seg.review, after: status};
+		});
+		if(!records.length){ return []; }
+		tracks = tracksOf(records.map(function(r){ return r.segment; }));
+		applyReview(this, records, 'after');
+		pushAcross(stack, trackIds(tracks), {
+			file: tracks[0].id,
+			description: describeEdit("Marked", records.map(function(r){ return r.segment; }))+" "+status,
+			context: this,
+			redo: applyReview.bind(null,this,records,'after'),
+			undo: applyReview.bind(null,this,records,'before')
+		});
+		return records.map(function(r){ return r.segment; });
+	};
+
+	Proto.reviewSelection = function(status){
+		return this.setReview(this.selectedSegments, status);
+	};
+
+	/**
+	 * Selects the next segment that is unreviewed or needs fixing on the given tracks
+	 * (all tracks by default), after the time marker or the last one stepped to,
+	 * and centres the view on it.
+	 **/
+	Proto.nextUnreviewed = function(tids){
+		var i, tl = this,
+			tracks = (typeof tids === 'undefined')?this.tracks:[].concat(tids).map(resolveTrack.bind(null,this)),
+			segs = tracks.reduce(function(segs, track){
+				return segs.concat(track.segments.filter(function(seg){
+					return !seg.deleted && seg.review !== 'approved';
+				}));
+			},[]).sort(function(a,b){
+				return (a.startTime - b.startTime) || (tl.trackIndices[a.track.id] - tl.trackIndices[b.track.id]);
+			});
+		i = stepTo(this, segs, 1, 'lastReviewed');
+		if(i === -1){ return null; }
+		this.emit(new Timeline.Event('reviewstep',{segment:segs[i],index:i,count:segs.length}));
+		return segs[i];
+	};
+
+	/** Batch timing functions **/
+
+	Proto.getTimings = function(segs){
+		return segs.map(function(seg){
+			return {segment: seg, startTime: seg.startTime, endTime: seg.endTime};
+		});
+	};
+
+	//Applies a list of {segment, startTime, endTime} records, which may span several tracks,
+	//without touching the command stack. Each affected track is sorted and refreshed once.
+	Proto.applyTimings = function(timings){
+		var tl = this,
+			tracks = [],
+			changed = [];
+
+		timings.forEach(function(t){
+			var seg = t.segment,
+				track = seg.track,
+				active = seg.active;
+			seg.startTime = t.startTime;
+			seg.endTime = t.endTime;
+			if(tracks.indexOf(track) === -1){ tracks.push(track); }
+			if(active !== seg.active && changed.indexOf(track) === -1){ changed.push(track); }
+			tl.emit(new Timeline.Event('move',{segment:seg}));
+		});
+
+		tracks.forEach(function(track){ track.segments.sort(Timeline.TextTrack.order); });
+		changed.forEach(function(track){ track.textTrack.activeCues.refreshCues(); });
+		if(changed.length){ this.emit(new Timeline.Event('activechange')); }
+
+		if(tracks.length > 1){ this.render(); }
+		else if(tracks.length){ this.renderTrack(tracks[0]); }
+	};
+
+	//Records a batch of timing changes that has already been applied as a single command,
+	//described for the undo history as "Retimed ..." unless a description is given
+	Proto.recordTimings = function(before, after, description){
+		var tracks = [], stack = this.commandStack;
+		after.forEach(function(t){
+			if(tracks.indexOf(t.segment.track) === -1){ tracks.push(t.segment.track); }
+		});
+		if(!tracks.length){ return; }
+		pushAcross(stack, trackIds(tracks), {
+			file: tracks[0].id,
+			description: description || describeEdit("Retimed", after.map(function(t){ return t.segment; })),
+			context: this,
+			redo: this.applyTimings.bind(this,after),
+			undo: this.applyTimings.bind(this,before)
+		});
+	};
+
+	/**
+	 * Extends a batch of timing changes with the same change for every linked partner
+	 * of the changed segments that isn't already in the batch.
+	 * before and after are lists of timings for the same segments, in the same order.
+	 **/
+	Proto.linkTimings = function(before, after){
+		var tl = this,
+			segs = after.map(function(t){ return t.segment; }),
+			lbefore = before.slice(),
+			lafter = after.slice();
+		after.forEach(function(t, i){
+			var ds = t.startTime - before[i].startTime,
+				de = t.endTime - before[i].endTime;
+			if(ds === 0 && de === 0){ return; }
+			t.segment.partners().forEach(function(p){
+				var start = Math.max(0, p.startTime + ds),
+					end = Math.min(tl.length, p.endTime + de);
+				if(segs.indexOf(p) !== -1 || !p.track.timingEditable || end <= start){ return; }
+				segs.push(p);
+				lbefore.push({segment: p, startTime: p.startTime, endTime: p.endTime});
+				lafter.push({segment: p, startTime: start, endTime: end});
+			});
+		});
+		return {before: lbefore, after: lafter};
+	};
+
+	//Records a batch of timing changes that has already been applied,
+	//applying the same changes to linked partners as part of the same command
+	Proto.commitTimings = function(before, after, description){
+		var linked = this.linkTimings(before, after);
+		if(linked.after.length > after.length){
+			this.applyTimings(linked.after.slice(after.length));
+		}
+		this.recordTimings(linked.before, linked.after, description);
+	};
+
+	Proto.moveSegments = function(timings, description){
+		var linked = this.linkTimings(this.getTimings(timings.map(function(t){ return t.segment; })), timings);
+		this.applyTimings(linked.after);
+		this.recordTimings(linked.before, linked.after, description);
+	};
+
+	/** Transactions **/
+
+	function redoAll(commands){
+		commands.forEach(function(c){ c.redo.call(c.context); });
+	}
+
+	function undoAll(commands){
+		commands.slice().reverse().forEach(function(c){ c.undo.call(c.context); });
+	}
+
+	/**
+	 * Runs fn, collecting every command it pushes into one command described by label,
+	 * so that a single action undoes and redoes as a unit. A transaction started inside
+	 * another joins the outer one. If fn throws, whatever it did is undone before the
+	 * error is passed on. Returns whatever fn returns.
+	 **/
+	Proto.transaction = function(label, fn){
+		var result, files,
+			stack = this.commandStack,
+			ownPush = stack.hasOwnProperty('push'),
+			push = stack.push,
+			commands = [];
+
+		if(this.pendingCommands !== null){ return fn.call(this); }
+		this.pendingCommands = commands;
+		stack.push = function(command){ commands.push(command); };
+		try{ result = fn.call(this); }
+		catch(e){
+			undoAll(commands);
+			throw e;
+		}finally{
+			if(ownPush){ stack.push = push; }
+			else{ delete stack.push; }
+			this.pendingCommands = null;
+		}
+		if(!commands.length){ return result; }
+
+		files = [];
+		commands.forEach(function(c){
+			if(files.indexOf(c.file) === -1){ files.push(c.file); }
+		});
+		pushAcross(stack, files, {
+			file: files[0],
+			description: label || commands[0].description,
+			context: this,
+			redo: redoAll.bind(null,commands),
+			undo: undoAll.bind(null,commands)
+		});
+		return result;
+	};
+
+	/** Linking functions **/
+
+	//Works out the new group of every segment affected when segs are taken out of
+	//their current groups and the given groups are formed. Group arrays are never
+	//modified, so the old ones can be restored directly on undo.
+	function regroup(segs, groups){
+		var records = [],
+			taken = segs.slice(),
+			leftover = [];
+
+		groups.forEach(function(group){
+			group.forEach(function(seg){
+				if(taken.indexOf(seg) === -1){ taken.push(seg); }
+			});
+		});
+		taken.forEach(function(seg){
+			var old = seg.linkGroup;
+			if(old === null || leftover.some(function(l){ return l.old === old; })){ return; }
+			leftover.push({old: old, rest: old.filter(function(p){ return taken.indexOf(p) === -1; })});
+		});
+		taken.forEach(function(seg){
+			var group = null;
+			groups.some(function(g){
+				if(g.indexOf(seg) === -1){ return false; }
+				group = g;
+				return true;
+			});
+			records.push({segment: seg, before: seg.linkGroup, after: group});
+		});
+		leftover.forEach(function(l){
+			var rest = l.rest.length > 1?l.rest:null;
+			l.rest.forEach(function(seg){
+				records.push({segment: seg, before: l.old, after: rest});
+			});
+		});
+		return records;
+	}
+
+	function applyLinks(tl, records, key){
+		records.forEach(function(r){ r.segment.linkGroup = r[key]; });
+		tl.render();
+	}
+
+	function recordLinks(tl, records, verb){
+		var segs = records.map(function(r){ return r.segment; }),
+			tracks = tracksOf(segs),
+			stack = tl.commandStack;
+		applyLinks(tl, records, 'after');
+		pushAcross(stack, trackIds(tracks), {
+			file: tracks[0].id,
+			description: describeEdit(verb, segs),
+			context: tl,
+			redo: applyLinks.bind(null,tl,records,'after'),
+			undo: applyLinks.bind(null,tl,records,'before')
+		});
+	}
+
+	/**
+	 * Links segments on different tracks, along with anything they are already linked to,
+	 * so that moving, resizing, splitting or deleting one does the same to the rest.
+	 * Returns the new group, or null if fewer than two tracks are involved or
+	 * two of the segments are on the same track.
+	 **/
+	Proto.linkSegments = function(segs){
+		var group = [];
+		segs.forEach(function(seg){
+			(seg.linkGroup || [seg]).forEach(function(p){
+				if(group.indexOf(p) === -1){ group.push(p); }
+			});
+		});
+		if(group.length < 2 || tracksOf(group).length !== group.length){ return null; }
+		recordLinks(this, regroup(group, [group]), "Linked");
+		this.emit(new Timeline.Event('link',{segments:group}));
+		return group;
+	};
+
+	//Takes the segments out of their link groups
+	Proto.unlinkSegments = function(segs){
+		segs = segs.filter(function(seg){ return seg.linkGroup !== null; });
+		if(!segs.length){ return; }
+		recordLinks(this, regroup(segs, []), "Unlinked");
+		this.emit(new Timeline.Event('unlink',{segments:segs}));
+	};
+
+	Proto.linkSelection = function(){
+		return this.linkSegments(this.selectedSegments.filter(function(seg){ return !seg.deleted; }));
+	};
+
+	Proto.unlinkSelection = function(){
+		this.unlinkSegments(this.selectedSegments);
+	};
+
+	/**
+	 * Links segments whose start and end times match to within tolerance seconds
+	 * (half a frame, or 10ms without a frame rate) across the given tracks,
+	 * which default to all tracks. Segments that are already linked are left alone.
+	 * Returns the new groups.
+	 **/
+	Proto.autoLink = function(tids, tolerance){
+		var tl = this,
+			tracks = (typeof tids === 'undefined' || tids === null)?this.tracks:
+					[].concat(tids).map(resolveTrack.bind(null,this)),
+			free = tracks.map(function(track){
+				return track.segments.filter(function(seg){ return !seg.deleted && seg.linkGroup === null; });
+			}),
+			groups = [];
+
+		if(typeof tolerance !== 'number'){ tolerance = this.frameRate?this.frameDuration/2:0.01; }
+
+		free.forEach(function(segs, i){
+			segs.forEach(function(seg){
+				var group = [seg];
+				free.slice(i+1).forEach(function(others){
+					others.some(function(o, j){
+						if(Math.abs(o.startTime - seg.startTime) > tolerance ||
+							Math.abs(o.endTime - seg.endTime) > tolerance){ return false; }
+						group.push(o);
+						others.splice(j,1);
+						return true;
+					});
+				});
+				if(group.length > 1){ groups.push(group); }
+			});
+		});
+
+		if(groups.length){
+			recordLinks(this, regroup([], groups), "Linked");
+			this.emit(new Timeline.Event('link',{
+				segments: groups.reduce(function(a, g){ return a.concat(g); },[])
+			}));
+		}
+		return groups;
+	};
+
 	/** Drawing functions **/
 
 	function renderBackground(tl) {
@@ -871,8 +1686,8 @@ var Timeline = (function(TimedText,EditorWidgets){
 			view = tl.view,
 			zoom = view.zoom,
 			font = tl.fonts.key,
-			power, d=0,
-			hours, mins, secs, pixels,
+			rate = exactRate(tl.frameRate),
+			power, d=0, frames, pixels,
 			start, end, position, offset, increment;
 
 		ctx.save();
@@ -882,12 +1697,19 @@ var Timeline = (function(TimedText,EditorWidgets){
 		ctx.textBaseline = 'top';
 
 		// Find the smallest increment in powers of 2 that gives enough room for 1-second precision
-		power = Math.ceil(Math.log(ctx.measureText(" 0:00:00").width*zoom)/0.6931471805599453);
+		power = Math.ceil(Math.log(ctx.measureText(" "+tl.formatTime(view.endTime,0)).width*zoom)/0.6931471805599453);
 		increment = Math.pow(2,power);
 		pixels = increment/zoom;
 
-		//if we're below 1-second precision, adjust the increment to provide extra room
-		if(power < 0){
+		if(rate){
+			//timecode labels already show frames, so just keep the ticks on whole frames
+			if(increment < 1){
+				frames = Math.max(1,Math.pow(2,Math.ceil(Math.log(increment*rate)/0.6931471805599453)));
+				increment = frames/rate;
+				pixels = increment/zoom;
+			}
+		}else if(power < 0){
+			//if we're below 1-second precision, adjust the increment to provide extra room
 			d = power<-2?3:-power;
 			if(pixels < ctx.measureText(" 0:00:0"+(0).toFixed(d)).width){
 				increment*=2;
@@ -896,6 +1718,9 @@ var Timeline = (function(TimedText,EditorWidgets){
 			}
 		}
 
+		//remember the tick spacing so edges can snap to it
+		tl.keyIncrement = increment;
+
 		start = view.startTime;
 		start -= start%increment;
 		end = view.endTime;
@@ -909,15 +1734,7 @@ var Timeline = (function(TimedText,EditorWidgets){
 			ctx.stroke();
 
 			// Now put the number on
-			secs = start % 60;
-			mins = Math.floor(start / 60);
-			hours = Math.floor(mins / 60);
-			mins %= 60;
-
-			ctx.fillText(
-				hours + (mins<10?":0":":") + mins + (secs<10?":0":":") + secs.toFixed(d), position + offset,
-				tl.keyTop + 2
-			);
+			ctx.fillText(tl.formatTime(start,d), position + offset, tl.keyTop + 2);
 		}
 		ctx.restore();
 	}
@@ -975,6 +1792,33 @@ var Timeline = (function(TimedText,EditorWidgets){
 		this.requestedFrame = 0;
 	}
 
+	//Connects each member of a link group to the next one down
+	function renderLinks(tl) {
+		var ctx = tl.ctx,
+			view = tl.view,
+			indices = tl.trackIndices;
+		ctx.save();
+		ctx.strokeStyle = tl.colors.link;
+		ctx.lineWidth = 2;
+		ctx.beginPath();
+		tl.tracks.forEach(function(track){
+			track.segments.forEach(function(seg){
+				var x, next = null;
+				if(!seg.visible){ return; }
+				seg.partners().forEach(function(p){
+					var i = indices[p.track.id];
+					if(i > indices[track.id] && (next === null || i < indices[next.track.id])){ next = p; }
+				});
+				if(next === null){ return; }
+				x = view.timeToPixel(Math.max(seg.startTime, next.startTime)) + 1;
+				ctx.moveTo(x, tl.getTrackTop(track) + tl.trackHeight);
+				ctx.lineTo(x, tl.getTrackTop(next.track));
+			});
+		});
+		ctx.stroke();
+		ctx.restore();
+	}
+
 	function render(stable) {
 		var aid, x;
 		if(this.images.complete){
@@ -982,6 +1826,8 @@ var Timeline = (function(TimedText,EditorWidgets){
 				renderBackground(this);
 				renderKey(this);
 				this.tracks.forEach(function(track){ track.render(); });
+				renderLinks(this);
+				if(this.comments){ this.comments.render(); }
 				for(aid in this.audio){ this.audio[aid].render(); }
 				renderABRepeat(this);
 				this.context.drawImage(this.cache,0,0);
@@ -1090,17 +1936,88 @@ var Timeline = (function(TimedText,EditorWidgets){
 			enumerable: true
 		},
 		timeCode: {
+			get: function(){ return this.formatTime(this.timeMarkerPos,3); },
+			enumerable: true
+		},
+		frameDuration: { //the smallest distance between two edges
 			get: function(){
-				var time = this.timeMarkerPos,
-					secs = time % 60,
-					mins = Math.floor(time / 60),
-					hours = Math.floor(mins / 60);
-				mins %= 60;
-				return hours + (mins<10?":0":":") + mins + (secs<10?":0":":") + secs.toFixed(3);
+				var rate = exactRate(this.frameRate);
+				return rate?1/rate:0.001;
 			},enumerable: true
 		}
 	});
 
+	function isDropFrameRate(rate){
+		return rate !== null && (Math.abs(rate - 29.97) < 0.01 || Math.abs(rate - 59.94) < 0.01);
+	}
+
+	//23.976, 29.97 and 59.94 are really 24000/1001, 30000/1001 and 60000/1001
+	function exactRate(rate){
+		if(!rate){ return null; }
+		return (Math.abs(rate - Math.round(rate)) > 0.01 && Math.abs(rate*1.001 - Math.round(rate*1.001)) < 0.01)?
+			Math.round(rate*1.001)*1000/1001:rate;
+	}
+
+	//e.g., 23.976 -> 24000/1001
+	Timeline.exactRate = exactRate;
+
+	function pad(n){ return n < 10?"0"+n:""+n; }
+
+	function framesToSMPTE(frame, rate, drop){
+		var nominal = Math.round(rate),
+			dropped, tenMins, perMin, d, m, secs, mins;
+		if(drop){
+			//skip the frame numbers that drop-frame counting leaves out of every minute but the tenth
+			dropped = Math.round(rate*0.066666);
+			tenMins = Math.round(rate*600);
+			perMin = nominal*60 - dropped;
+			d = Math.floor(frame/tenMins);
+			m = frame % tenMins;
+			frame += 9*dropped*d + (m > dropped?dropped*Math.floor((m - dropped)/perMin):0);
+		}
+		secs = Math.floor(frame/nominal);
+		mins = Math.floor(secs/60);
+		return pad(Math.floor(mins/60)) + ":" + pad(mins%60) + ":" + pad(secs%60) + (drop?";":":") + pad(frame%nominal);
+	}
+
+	function smpteToFrames(tc, rate, drop){
+		var parts = String(tc).split(/[:;.]/).map(Number),
+			nominal = Math.round(rate),
+			mins = parts[0]*60 + parts[1],
+			frames = (mins*60 + parts[2])*nominal + (parts[3]||0);
+		if(drop){ frames -= Math.round(rate*0.066666)*(mins - Math.floor(mins/10)); }
+		return frames;
+	}
+
+	//Formats a time in seconds for display, as HH:MM:SS:FF when a frame rate is set
+	//and as H:MM:SS.sss otherwise, offset by the starting timecode
+	Proto.formatTime = function(time, decimals){
+		var secs, mins, hours,
+			start = this.startTimecode,
+			rate = exactRate(this.frameRate);
+		if(rate){
+			return framesToSMPTE(
+				Math.round(time*rate) + (typeof start === 'number'?Math.round(start*rate):smpteToFrames(start,rate,this.dropFrame)),
+				rate, this.dropFrame
+			);
+		}
+		if(typeof start !== 'number'){
+			start = String(start).split(/[:;]/).slice(0,3).reduce(function(acc,n){ return acc*60 + (+n); },0);
+		}
+		time += start;
+		secs = time % 60;
+		mins = Math.floor(time / 60);
+		hours = Math.floor(mins / 60);
+		mins %= 60;
+		return hours + (mins<10?":0":":") + mins + (secs<10?":0":":") + secs.toFixed(decimals||0);
+	};
+
+	//Rounds a time to the nearest frame boundary, if a frame rate is set
+	Proto.quantize = function(time){
+		var rate = exactRate(this.frameRate);
+		return rate?Math.round(time*rate)/rate:time;
+	};
+
 	function updateABPoints(pos){
 		this[pos.x < this.view.timeToPixel((this.repeatA + this.repeatB) / 2)?'repeatA':'repeatB'] = this.view.pixelToTime(pos.x);
 		this.render();
@@ -1141,10 +2058,13 @@ var Timeline = (function(TimedText,EditorWidgets){
 			this.autoCueStart = time;
 			break;
 		case Timeline.AutoCueCueing:
-			tracks.forEach(function(track){
-				track.setPlaceholder(this.autoCueStart-.01, time+.01);
-				track.resolvePlaceholder();
-			},this);
+			//one cue on every auto cue track, undone together
+			this.transaction("Cued "+tracks.map(function(track){ return track.id; }).join(", "), function(){
+				tracks.forEach(function(track){
+					track.setPlaceholder(this.autoCueStart-.01, time+.01);
+					track.resolvePlaceholder();
+				},this);
+			});
 			if(this.autoCueRepeat){
 				this.autoCueStatus = Timeline.AutoCueRepeating;
 				this.setRepeat(this.autoCueStart+.01,time-.01);
@@ -1159,6 +2079,80 @@ var Timeline = (function(TimedText,EditorWidgets){
 		}
 	};
 
+	/** Snapping functions **/
+
+	function snapPoints(tl, exclude){
+		var targets = tl.snapTargets,
+			points = [];
+		if(targets.segments){
+			tl.tracks.forEach(function(track){
+				track.segments.forEach(function(seg){
+					if(seg.deleted || ~exclude.indexOf(seg)){ return; }
+					points.push(seg.startTime, seg.endTime);
+				});
+			});
+		}
+		if(targets.marker){ points.push(tl.timeMarkerPos); }
+		if(targets.repeat && tl.abRepeatSet){ points.push(tl.repeatA, tl.repeatB); }
+		return points;
+	}
+
+	/**
+	 * Takes the times of the edges being dragged and returns the offset that moves
+	 * the closest of them onto a snap point within snapThreshold pixels, or 0.
+	 * Segments listed in exclude are not used as snap points.
+	 * Holding alt (pos.alt) temporarily disables snapping.
+	 **/
+	Proto.findSnap = function(times, exclude, pos){
+		var points, best = null,
+			inc = this.keyIncrement,
+			ticks = this.snapTargets.ticks,
+			threshold = this.snapThreshold*this.view.zoom;
+
+		if(!this.snap || (pos && pos.alt)){
+			this.clearSnapGuide();
+			return 0;
+		}
+
+		points = snapPoints(this, exclude || []);
+		times.forEach(function(time){
+			(ticks?points.concat(Math.round(time/inc)*inc):points).forEach(function(point){
+				var d = point - time;
+				if(Math.abs(d) <= threshold && (best === null || Math.abs(d) < Math.abs(best.delta))){
+					best = {delta: d, time: point};
+				}
+			});
+		});
+
+		if(best === null){
+			this.clearSnapGuide();
+			return 0;
+		}
+		this.showSnapGuide(best.time);
+		return best.delta;
+	};
+
+	Proto.showSnapGuide = function(time){
+		var ctx, x = this.view.timeToPixel(time);
+		if(x === this.snapGuide){ return; }
+		this.clearSnapGuide();
+		this.snapGuide = x;
+		ctx = this.octx;
+		ctx.save();
+		ctx.fillStyle = this.colors.snapGuide;
+		ctx.fillRect(x, this.keyTop, 1, this.height - this.sliderHeight);
+		ctx.restore();
+	};
+
+	Proto.clearSnapGuide = function(){
+		var id;
+		if(this.snapGuide === null){ return; }
+		this.octx.clearRect(this.snapGuide-1, 0, 3, this.height);
+		this.snapGuide = null;
+		//the overlay is shared with audio waveforms, so put back whatever we erased
+		for(id in this.audio){ this.audio[id].draw(); }
+	};
+
 	/** Persistence functions **/
 
 	Proto.exportTracks = function(id) {
@@ -1183,11 +2177,29 @@ var Timeline = (function(TimedText,EditorWidgets){
 				collection:"tracks",
 				mime: track.mime,
 				name: TimedText.addExt(track.mime,track.id),
-				data: track.serialize()
+				data: track.autoRenumber?renumberedData(track, track.autoRenumber):track.serialize(),
+				//review states and other per-cue data that the cue format can't hold
+				sidecar: track.getSidecar(),
+				//segment uids in cue order, for matching the cues to segments in this session
+				uids: track.segments.filter(function(seg){ return !seg.deleted; }).map(function(seg){ return seg.uid; })
 			};
 		});
 	};
 
+	//Serializes copies of a track's cues with the ids renumber would give them, leaving the track alone
+	function renumberedData(track, opts){
+		var convert = TimedText.getCueConverter(track.mime, track.mime),
+			ntt = new TextTrack(track.kind, track.id, track.language);
+		ntt.cues.loadCues(track.segments.filter(function(seg){
+			return !seg.deleted;
+		}).map(function(seg, i){
+			var cue = convert(seg.cue);
+			cue.id = sequentialId(opts, i);
+			return cue;
+		}));
+		return TimedText.serialize(track.mime, ntt);
+	}
+
 	Proto.loadTextTrack = function(src, kind, lang, name, overwrite){ 
 		var that = this;
 		return new Promise(function(resolve,reject){
@@ -1279,7 +2291,6 @@ var Timeline = (function(TimedText,EditorWidgets){
 			cursor = !(this.abRepeatOn || this.abRepeatSetting) || pos.x < this.view.timeToPixel((this.repeatA + this.repeatB) / 2)?'repeatA':'repeatB';
 		}else if(track = this.trackFromPos(pos)){ // Are we on a track?
 			cursor = 	(this.currentTool === Timeline.ORDER)?'order':
-						(this.currentTool === Timeline.SHIFT)?'move':
 						(this.currentTool === Timeline.SELECT)?'select':
 						track.getCursor(pos);
 		}
@@ -1291,7 +2302,7 @@ var Timeline = (function(TimedText,EditorWidgets){
 
 	function mouseMove(ev) {
 		var i, active, swap,
-			pos = {x: ev.offsetX || ev.layerX, y: ev.offsetY || ev.layerY, ctrl: ev.ctrlKey, shift: ev.shiftKey};
+			pos = {x: ev.offsetX || ev.layerX, y: ev.offsetY || ev.layerY, ctrl: ev.ctrlKey, shift: ev.shiftKey, alt: ev.altKey};
 
 		this.mousePos = pos;
 
@@ -1371,7 +2382,7 @@ var Timeline = (function(TimedText,EditorWidgets){
 
 	function mouseDown(ev) {
 		if(ev.button > 0){ return; }
-		var pos = {x: ev.offsetX || ev.layerX, y: ev.offsetY || ev.layerY, ctrl: ev.ctrlKey, shift: ev.shiftKey},
+		var pos = {x: ev.offsetX || ev.layerX, y: ev.offsetY || ev.layerY, ctrl: ev.ctrlKey, shift: ev.shiftKey, alt: ev.altKey},
 			track,i;
 		
 		ev.preventDefault();
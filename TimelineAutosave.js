@@ -0,0 +1,254 @@
+(function(Timeline){
+	"use strict";
+	var Proto;
+
+	if(!Timeline){
+		throw new Error("Timeline Uninitialized");
+	}
+
+	var DB_NAME = 'timeline-autosave',
+		STORE = 'tracks';
+
+	function openDB(){
+		return new Promise(function(resolve, reject){
+			var req = indexedDB.open(DB_NAME, 1);
+			req.onupgradeneeded = function(){
+				req.result.createObjectStore(STORE, {keyPath: 'id'}).createIndex('key', 'key');
+			};
+			req.onsuccess = function(){ resolve(req.result); };
+			req.onerror = function(){ reject(req.error); };
+		});
+	}
+
+	//Runs fn on the object store in a transaction; resolves with the result of the request fn returns
+	function request(db, mode, fn){
+		return new Promise(function(resolve, reject){
+			var tx = db.transaction(STORE, mode),
+				req = fn(tx.objectStore(STORE));
+			tx.oncomplete = function(){ resolve(req?req.result:void 0); };
+			tx.onerror = tx.onabort = function(){ reject(tx.error); };
+		});
+	}
+
+	function makeRecord(autosave, track){
+		return {
+			id: autosave.key + '/' + track.id,
+			key: autosave.key,
+			name: track.id,
+			kind: track.kind,
+			language: track.language,
+			mime: track.mime,
+			data: track.serialize(),
+			sidecar: track.getSidecar(),
+			audioId: track.audioId,
+			saved: Date.now()
+		};
+	}
+
+	//A name for a restored track that doesn't replace one already open
+	function freeName(tl, name){
+		var n = 2, base = name + " (recovered)";
+		if(!tl.trackIndices.hasOwnProperty(name)){ return name; }
+		for(name = base;tl.trackIndices.hasOwnProperty(name);n++){
+			name = base.slice(0,-1) + " " + n + ")";
+		}
+		return name;
+	}
+
+	function restoreRecord(tl, record){
+		var track,
+			ntt = new TextTrack(record.kind, freeName(tl, record.name), record.language);
+		ntt.cues.loadCues(TimedText.parse(record.mime, record.data).cueList);
+		ntt.readyState = TextTrack.LOADED;
+		ntt.mode = "showing";
+		tl.addTextTrack(ntt, record.mime);
+		track = tl.getTrack(ntt.label);
+		if(record.sidecar){ track.loadSidecar(record.sidecar); }
+		//audio that isn't loaded yet counts this track's reference when it is
+		if(tl.audio.hasOwnProperty(record.audioId)){ tl.setAudioTrack(track, record.audioId); }
+		else{ track.audioId = record.audioId; }
+		tl.commandStack.setFileUnsaved(track.id);
+		return track;
+	}
+
+	/**
+	 * Autosave
+	 *
+	 * Keeps a copy of every track with unsaved changes in IndexedDB, so that work survives
+	 * a crashed tab. Tracks are written shortly after each change to the command stack and
+	 * every opts.interval milliseconds, and a track's copy is dropped once it is saved.
+	 * On construction, copies left by an earlier session under the same opts.key are
+	 * offered back through timeline.confirm; a copy of a track that is already open
+	 * comes back as "name (recovered)". Without IndexedDB, nothing is saved.
+	 **/
+	function Autosave(tl, opts){
+		var that = this,
+			stack = tl.commandStack,
+			push = stack.push,
+			undo = stack.undo,
+			redo = stack.redo,
+			setFileSaved = stack.setFileSaved,
+			renameEvents = stack.renameEvents;
+
+		opts = opts || {};
+		this.tl = tl;
+		this.key = opts.key || 'timeline';
+		this.delay = (typeof opts.delay === 'number')?opts.delay:1000;
+		this.timer = null;
+		this.interval = null;
+		this.unwrap = null;
+		if(!window.indexedDB){
+			this.db = null;
+			return;
+		}
+		this.db = openDB();
+
+		stack.push = function(){
+			var r = push.apply(stack, arguments);
+			that.schedule();
+			return r;
+		};
+		stack.undo = function(){
+			var r = undo.apply(stack, arguments);
+			that.schedule();
+			return r;
+		};
+		stack.redo = function(){
+			var r = redo.apply(stack, arguments);
+			that.schedule();
+			return r;
+		};
+		stack.setFileSaved = function(file){
+			var r = setFileSaved.apply(stack, arguments);
+			that.clear(file);
+			return r;
+		};
+		//the copy under the old name is dropped, and the track is written again under the new one
+		stack.renameEvents = function(oldname){
+			var r = renameEvents.apply(stack, arguments);
+			that.clear(oldname);
+			that.schedule();
+			return r;
+		};
+		function removeTrack(evt){
+			if(tl.getTrack(evt.track.id) === null){ that.clear(evt.track.id); }
+		}
+		tl.on('removetrack', removeTrack);
+
+		//puts back what the constructor replaced
+		this.unwrap = function(){
+			stack.push = push;
+			stack.undo = undo;
+			stack.redo = redo;
+			stack.setFileSaved = setFileSaved;
+			stack.renameEvents = renameEvents;
+			tl.off('removetrack', removeTrack);
+		};
+
+		this.interval = setInterval(function(){ that.save(); }, (typeof opts.interval === 'number')?opts.interval:30000);
+		this.recover();
+	}
+
+	Proto = Autosave.prototype;
+
+	//Stops saving and unwraps the command stack; copies already written are kept
+	Proto.dispose = function(){
+		clearInterval(this.interval);
+		clearTimeout(this.timer);
+		this.interval = null;
+		this.timer = null;
+		if(this.unwrap){ this.unwrap(); }
+		this.unwrap = null;
+		this.db = null;
+	};
+
+	//Batches saving so that a burst of edits only writes once
+	Proto.schedule = function(){
+		var that = this;
+		if(this.timer !== null || this.db === null){ return; }
+		this.timer = setTimeout(function(){
+			that.timer = null;
+			that.save();
+		}, this.delay);
+	};
+
+	//Writes every unsaved track and drops the copies of saved ones; failures are reported in the autosave event
+	Proto.save = function(){
+		var that = this,
+			tl = this.tl,
+			stack = tl.commandStack,
+			saved = [];
+		if(this.db === null){ return Promise.resolve(); }
+		return this.db.then(function(db){
+			return request(db, 'readwrite', function(store){
+				tl.tracks.forEach(function(track){
+					if(stack.isFileSaved(track.id)){
+						store['delete'](that.key + '/' + track.id);
+					}else{
+						store.put(makeRecord(that, track));
+						saved.push(track.id);
+					}
+				});
+			});
+		}).then(function(){
+			tl.emit(new Timeline.Event('autosave',{tracks: saved, error: null}));
+		},function(e){
+			tl.emit(new Timeline.Event('autosave',{tracks: [], error: e}));
+		});
+	};
+
+	Proto.clear = function(file){
+		var id = this.key + '/' + file;
+		if(this.db === null){ return Promise.resolve(); }
+		return this.db.then(function(db){
+			return request(db, 'readwrite', function(store){ return store['delete'](id); });
+		})['catch'](function(){});
+	};
+
+	//Returns the copies left under this key, oldest first
+	Proto.recovered = function(){
+		var key = this.key;
+		if(this.db === null){ return Promise.resolve([]); }
+		return this.db.then(function(db){
+			return request(db, 'readonly', function(store){
+				return store.index('key').getAll(key);
+			});
+		}).then(function(records){
+			return records.sort(function(a, b){ return a.saved - b.saved; });
+		});
+	};
+
+	/**
+	 * Offers to restore the tracks left by an earlier session; copies that are turned down are dropped.
+	 * The recover event lists the restored tracks, the copies that failed as {name, error},
+	 * and the error if the copies couldn't be read at all.
+	 **/
+	Proto.recover = function(){
+		var that = this,
+			tl = this.tl;
+		return this.recovered().then(function(records){
+			if(!records.length){ return []; }
+			return tl.confirm(
+				"Unsaved changes to " + records.map(function(r){ return r.name; }).join(", ") +
+				" were recovered from an earlier session. Restore them?"
+			).then(function(b){
+				var tracks = [], failed = [];
+				if(b){
+					records.forEach(function(record){
+						try{ tracks.push(restoreRecord(tl, record)); }
+						catch(e){ failed.push({name: record.name, error: e}); }
+					});
+					tl.emit(new Timeline.Event('recover',{tracks: tracks, failed: failed, error: null}));
+				}else{
+					records.forEach(function(record){ that.clear(record.name); });
+				}
+				return tracks;
+			});
+		},function(e){
+			tl.emit(new Timeline.Event('recover',{tracks: [], failed: [], error: e}));
+			return [];
+		});
+	};
+
+	Timeline.Autosave = Autosave;
+}(Timeline));
@@ -0,0 +1,172 @@
+(function(Timeline){
+	"use strict";
+	var Proto;
+
+	if(!Timeline){
+		throw new Error("Timeline Uninitialized");
+	}
+
+	var JSON_MIME = 'application/x-timeline-cues+json',
+		cueProps = ['id','vertical','line','position','size','align','snapToLines','pauseOnExit'];
+
+	function isEditable(node){
+		for(;node && node.nodeType === Node.ELEMENT_NODE;node = node.parentNode){
+			if(node.isContentEditable){ return true; }
+			switch(node.tagName){
+			case 'INPUT':
+			case 'TEXTAREA':
+			case 'SELECT':
+				return true;
+			}
+		}
+		return false;
+	}
+
+	//Copies the cues into a scratch track so they can be serialized
+	function toWebVTT(segs){
+		var ntt = new TextTrack('subtitles','clipboard','zxx');
+		ntt.cues.loadCues(segs.map(function(seg){
+			return TimedText.getCueConverter(seg.track.mime, 'text/vtt')(seg.cue);
+		}));
+		return TimedText.serialize('text/vtt', ntt);
+	}
+
+	function toJSON(segs){
+		var mime = segs[0].track.mime;
+		return JSON.stringify({
+			mime: mime,
+			cues: segs.map(function(seg){
+				var cue = TimedText.getCueConverter(seg.track.mime, mime)(seg.cue),
+					obj = {startTime: cue.startTime, endTime: cue.endTime, text: cue.text};
+				cueProps.forEach(function(key){
+					if(key in cue){ obj[key] = cue[key]; }
+				});
+				return obj;
+			})
+		});
+	}
+
+	function fromJSON(data){
+		var cueType = TimedText.getTypeInfo(data.mime).cueType;
+		return data.cues.map(function(obj){
+			var cue = new cueType(obj.startTime, obj.endTime, obj.text);
+			cueProps.forEach(function(key){
+				if(obj.hasOwnProperty(key) && (key in cue)){ cue[key] = obj[key]; }
+			});
+			return cue;
+		});
+	}
+
+	//Returns {mime, cues} from the clipboard contents, or null if they aren't cues
+	function readData(clipboardData){
+		var text, mime,
+			json = clipboardData.getData(JSON_MIME);
+		if(json){
+			try{
+				json = JSON.parse(json);
+				return {mime: json.mime, cues: fromJSON(json)};
+			}catch(_){}
+		}
+		text = clipboardData.getData('text/plain');
+		if(!text){ return null; }
+		mime = /^\uFEFF?WEBVTT/.test(text)?'text/vtt':'text/srt';
+		try{
+			text = TimedText.parse(mime, text).cueList;
+			return text.length?{mime: mime, cues: text}:null;
+		}catch(_){ return null; }
+	}
+
+	function onMouseDown(e){
+		this.focused = (e.target === this.tl.canvas);
+	}
+
+	function onCopy(e){
+		var segs, tl = this.tl;
+		if(this.pending === null){
+			if(!this.focused || isEditable(document.activeElement) || !tl.selectedSegments.length){ return; }
+			this.busy = true;
+			segs = tl.copySelection();
+			this.busy = false;
+		}else{
+			segs = this.pending;
+		}
+		if(!segs.length){ return; }
+		e.clipboardData.setData('text/plain', toWebVTT(segs));
+		e.clipboardData.setData(JSON_MIME, toJSON(segs));
+		e.preventDefault();
+	}
+
+	function onPaste(e){
+		var data, track, toMime;
+		if(!this.focused || isEditable(document.activeElement)){ return; }
+		track = this.targetTrack();
+		if(!track){ return; }
+		data = readData(e.clipboardData);
+		if(data === null){ return; }
+		toMime = track.mime;
+		//a refused paste leaves the event to the browser
+		if(track.pasteCues(data.cues.map(TimedText.getCueConverter(data.mime, toMime))) !== null){
+			e.preventDefault();
+		}
+	}
+
+	/**
+	 * Clipboard
+	 *
+	 * Mirrors copied segments to the system clipboard as WebVTT text plus a JSON
+	 * payload that keeps the source mime type and cue settings, and pastes either
+	 * format into the track under the mouse or the track of the current selection.
+	 * Only acts while the timeline canvas was the last thing clicked.
+	 **/
+	function Clipboard(tl){
+		this.tl = tl;
+		this.focused = false;
+		this.busy = false;
+		this.pending = null;
+		this.listeners = {
+			mousedown: onMouseDown.bind(this),
+			copy: onCopy.bind(this),
+			paste: onPaste.bind(this)
+		};
+		Object.keys(this.listeners).forEach(function(name){
+			document.addEventListener(name, this.listeners[name], false);
+		},this);
+	}
+
+	Clipboard.MIME = JSON_MIME;
+
+	Proto = Clipboard.prototype;
+
+	//Stops listening for copy and paste; the clipboard can't be used afterwards
+	Proto.dispose = function(){
+		Object.keys(this.listeners).forEach(function(name){
+			document.removeEventListener(name, this.listeners[name], false);
+		},this);
+		this.focused = false;
+	};
+
+	//Writes segments to the system clipboard; only works during a user action
+	Proto.write = function(segs){
+		if(this.busy || !segs.length){ return false; }
+		this.busy = true;
+		this.pending = segs;
+		try{ return document.execCommand('copy'); }
+		catch(_){ return false; }
+		finally{
+			this.busy = false;
+			this.pending = null;
+		}
+	};
+
+	Proto.targetTrack = function(){
+		var tl = this.tl,
+			track = tl.trackFromPos(tl.mousePos),
+			selected = tl.selectedSegments;
+		if(!track && selected.length){
+			track = selected[selected.length-1].track;
+		}
+		return (track && track.timingEditable && track.textEditable)?track:null;
+	};
+
+	Timeline.Clipboard = Clipboard;
+}(Timeline));
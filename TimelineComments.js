@@ -0,0 +1,304 @@
+(function(Timeline){
+	"use strict";
+	var Proto;
+
+	if(!Timeline){
+		throw new Error("Timeline Uninitialized");
+	}
+
+	var idCounter = 0,
+		markerSize = 8,
+		threadProps = ['id','author','text','created','resolved'];
+
+	function newId(){
+		return Date.now().toString(36) + '-' + (idCounter++).toString(36);
+	}
+
+	function makeReply(obj){
+		return {
+			id: obj.id || newId(),
+			author: obj.author || '',
+			text: obj.text || '',
+			created: obj.created || Date.now()
+		};
+	}
+
+	//Strips a thread down to plain data for a sidecar
+	function threadData(thread){
+		var obj = {};
+		threadProps.forEach(function(key){ obj[key] = thread[key]; });
+		obj.replies = thread.replies.map(function(r){
+			return {id: r.id, author: r.author, text: r.text, created: r.created};
+		});
+		return obj;
+	}
+
+	function formatDate(ms){
+		return new Date(ms).toLocaleString();
+	}
+
+	//Finds the threads whose markers are under the mouse
+	function threadsAt(comments, pos){
+		var seg, shape, x,
+			tl = comments.tl;
+		if(pos.y < tl.keyHeight){
+			return comments.threads.filter(function(thread){
+				if(thread.segment !== null){ return false; }
+				x = tl.view.timeToPixel(thread.time);
+				return Math.abs(pos.x - x) <= markerSize/2 && pos.y >= tl.keyHeight - markerSize;
+			});
+		}
+		seg = tl.segFromPos(pos);
+		if(seg === null){ return []; }
+		shape = seg.shape || seg.calcShape();
+		if(pos.x > shape.x + markerSize + 4 || pos.y > shape.y + markerSize + 4){ return []; }
+		return comments.forSegment(seg);
+	}
+
+	function renderPopover(comments, threads, pos){
+		var node = comments.popover;
+		if(node === null){
+			node = comments.popover = document.createElement('div');
+			node.className = 'tl-comment-popover';
+			node.style.position = 'absolute';
+		}
+		node.innerHTML = '';
+		threads.forEach(function(thread){
+			var div = document.createElement('div');
+			div.className = 'tl-comment' + (thread.resolved?' tl-comment-resolved':'');
+			[thread].concat(thread.replies).forEach(function(c, i){
+				var p = document.createElement('p'),
+					head = document.createElement('span');
+				if(i > 0){ p.className = 'tl-comment-reply'; }
+				head.className = 'tl-comment-head';
+				head.textContent = (c.author || "Anonymous") + ", " + formatDate(c.created) +
+					(i === 0 && thread.resolved?" (resolved)":"");
+				p.appendChild(head);
+				p.appendChild(document.createTextNode(c.text));
+				div.appendChild(p);
+			});
+			node.appendChild(div);
+		});
+		node.style.left = pos.x + 'px';
+		node.style.top = (pos.y + markerSize + 4) + 'px';
+		if(node.parentNode !== comments.tl.canvas.parentNode){
+			comments.tl.canvas.parentNode.appendChild(node);
+		}
+	}
+
+	function hidePopover(comments){
+		var node = comments.popover;
+		comments.hovered = [];
+		if(node !== null && node.parentNode){ node.parentNode.removeChild(node); }
+	}
+
+	//The timeline's own canvas listener has updated mousePos by the time this bubbles up
+	function onMouseMove(e){
+		var threads;
+		if(e.target !== this.tl.canvas){
+			if(this.hovered.length){ hidePopover(this); }
+			return;
+		}
+		threads = threadsAt(this, this.tl.mousePos);
+		if(threads.length === 0){
+			if(this.hovered.length){ hidePopover(this); }
+			return;
+		}
+		if(threads.length === this.hovered.length && threads.every(function(t, i){ return t === this.hovered[i]; }, this)){ return; }
+		this.hovered = threads;
+		renderPopover(this, threads, this.tl.mousePos);
+	}
+
+	/**
+	 * Comments
+	 *
+	 * Reviewer comment threads attached to segments or to points on the time ruler.
+	 * Each thread has an author, creation time, text, resolved flag and replies.
+	 * Threads are drawn as markers and shown in a popover on hover, saved in
+	 * each track's sidecar, and every change is announced with a comment event.
+	 **/
+	function Comments(tl){
+		var that = this;
+		this.tl = tl;
+		this.author = '';
+		this.threads = [];
+		this.popover = null;
+		this.hovered = [];
+		this.listeners = {
+			mousemove: onMouseMove.bind(this),
+			mouseleave: function(){ if(that.hovered.length){ hidePopover(that); } },
+			removetrack: function(evt){
+				that.threads = that.threads.filter(function(thread){
+					return thread.segment === null || thread.segment.track !== evt.track;
+				});
+			}
+		};
+		tl.root.addEventListener('mousemove', this.listeners.mousemove, false);
+		tl.root.addEventListener('mouseleave', this.listeners.mouseleave, false);
+		tl.on('removetrack', this.listeners.removetrack);
+	}
+
+	Proto = Comments.prototype;
+
+	//Stops listening to the timeline; the threads are kept
+	Proto.dispose = function(){
+		var tl = this.tl;
+		hidePopover(this);
+		tl.root.removeEventListener('mousemove', this.listeners.mousemove, false);
+		tl.root.removeEventListener('mouseleave', this.listeners.mouseleave, false);
+		tl.off('removetrack', this.listeners.removetrack);
+	};
+
+	Proto.emit = function(action, thread, reply){
+		this.tl.emit(new Timeline.Event('comment',{action: action, comment: thread, reply: reply || null}));
+	};
+
+	/**
+	 * Starts a thread on opts.segment, or at opts.time on the ruler.
+	 * opts.author defaults to comments.author; id and created may be given
+	 * when restoring threads from elsewhere.
+	 **/
+	Proto.add = function(opts){
+		var thread;
+		if(!opts.segment && typeof opts.time !== 'number'){
+			throw new Error("Comments need a segment or a time");
+		}
+		thread = makeReply({
+			id: opts.id,
+			author: opts.author || this.author,
+			text: opts.text,
+			created: opts.created
+		});
+		thread.segment = opts.segment || null;
+		thread.time = thread.segment?null:opts.time;
+		thread.resolved = !!opts.resolved;
+		thread.replies = (opts.replies || []).map(makeReply);
+		this.threads.push(thread);
+		this.emit('add', thread);
+		this.refresh(thread);
+		return thread;
+	};
+
+	Proto.reply = function(thread, opts){
+		var reply = makeReply({
+			author: opts.author || this.author,
+			text: opts.text
+		});
+		thread.replies.push(reply);
+		this.emit('reply', thread, reply);
+		return reply;
+	};
+
+	Proto.resolve = function(thread, resolved){
+		resolved = (typeof resolved === 'undefined')?true:!!resolved;
+		if(thread.resolved === resolved){ return; }
+		thread.resolved = resolved;
+		this.emit(resolved?'resolve':'reopen', thread);
+		this.refresh(thread);
+	};
+
+	Proto.remove = function(thread){
+		var i = this.threads.indexOf(thread);
+		if(i === -1){ return; }
+		this.threads.splice(i,1);
+		this.emit('remove', thread);
+		this.refresh(thread);
+	};
+
+	Proto.find = function(id){
+		var found = null;
+		this.threads.some(function(thread){
+			if(thread.id !== id){ return false; }
+			found = thread;
+			return true;
+		});
+		return found;
+	};
+
+	Proto.forSegment = function(seg){
+		return this.threads.filter(function(thread){ return thread.segment === seg; });
+	};
+
+	Proto.refresh = function(thread){
+		var tl = this.tl;
+		if(thread.segment && tl.getTrack(thread.segment.track.id) === thread.segment.track){
+			tl.renderTrack(thread.segment.track);
+		}else{
+			tl.render();
+		}
+	};
+
+	//Threads on the track's live segments, keyed by cue index, plus all of the ruler threads
+	Proto.getSidecar = function(track){
+		var threads = this.threads,
+			segs = track.segments.filter(function(seg){ return !seg.deleted; });
+		return {
+			segments: segs.reduce(function(list, seg){
+				var ref = track.sidecarRef(seg);
+				return list.concat(threads.filter(function(thread){
+					return thread.segment === seg;
+				}).map(function(thread){
+					var obj = threadData(thread);
+					obj.cue = ref.cue;
+					obj.start = ref.start;
+					return obj;
+				}));
+			},[]),
+			ruler: threads.filter(function(thread){
+				return thread.segment === null;
+			}).map(function(thread){
+				var obj = threadData(thread);
+				obj.time = thread.time;
+				return obj;
+			})
+		};
+	};
+
+	/**
+	 * Restores threads saved with getSidecar; threads that are already present are skipped,
+	 * as are those whose cue can't be found again.
+	 **/
+	Proto.loadSidecar = function(track, data){
+		var that = this,
+			segs = track.segments.filter(function(seg){ return !seg.deleted; });
+		(data.segments || []).forEach(function(obj){
+			//older sidecars give the position of the cue instead
+			var opts = {segment: (typeof obj.start === 'number')?track.sidecarSegment(obj):segs[obj.cue]};
+			if(!opts.segment || that.find(obj.id)){ return; }
+			Object.keys(obj).forEach(function(key){
+				if(key !== 'cue' && key !== 'start'){ opts[key] = obj[key]; }
+			});
+			that.add(opts);
+		});
+		(data.ruler || []).forEach(function(obj){
+			if(that.find(obj.id)){ return; }
+			that.add(obj);
+		});
+	};
+
+	//Draws ruler markers; segment markers are drawn with their segments
+	Proto.render = function(){
+		var tl = this.tl,
+			ctx = tl.ctx,
+			view = tl.view,
+			bottom = tl.keyHeight;
+		ctx.save();
+		this.threads.forEach(function(thread){
+			var x;
+			if(thread.segment !== null || thread.time < view.startTime || thread.time > view.endTime){ return; }
+			x = view.timeToPixel(thread.time);
+			ctx.fillStyle = tl.colors[thread.resolved?'commentResolved':'comment'];
+			ctx.beginPath();
+			ctx.moveTo(x - markerSize/2, bottom - markerSize);
+			ctx.lineTo(x + markerSize/2, bottom - markerSize);
+			ctx.lineTo(x, bottom);
+			ctx.closePath();
+			ctx.fill();
+		});
+		ctx.restore();
+	};
+
+	Comments.markerSize = markerSize;
+
+	Timeline.Comments = Comments;
+}(Timeline));
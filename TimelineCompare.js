@@ -0,0 +1,291 @@
+(function(Timeline){
+	"use strict";
+	var Proto;
+
+	if(!Timeline){
+		throw new Error("Timeline Uninitialized");
+	}
+
+	function plain(seg){
+		return TimedText.getPlainText(seg.cue).replace(/\s+/g,' ').trim().toLowerCase();
+	}
+
+	//Dice coefficient of the character bigrams of two strings, from 0 to 1
+	function similarity(a, b){
+		var i, gram, total,
+			grams = {},
+			shared = 0;
+		if(a === b){ return 1; }
+		if(a.length < 2 || b.length < 2){ return 0; }
+		for(i = 0; i < a.length - 1; i++){
+			gram = a.substr(i,2);
+			grams[gram] = (grams[gram] || 0) + 1;
+		}
+		for(i = 0; i < b.length - 1; i++){
+			gram = b.substr(i,2);
+			if(grams[gram] > 0){
+				grams[gram]--;
+				shared++;
+			}
+		}
+		total = a.length + b.length - 2;
+		return 2*shared/total;
+	}
+
+	//Intersection over union of two time spans
+	function overlap(a, b){
+		var inter = Math.min(a.endTime, b.endTime) - Math.max(a.startTime, b.startTime);
+		if(inter <= 0){ return 0; }
+		return inter/(Math.max(a.endTime, b.endTime) - Math.min(a.startTime, b.startTime));
+	}
+
+	function live(track){
+		return track.segments.filter(function(seg){ return !seg.deleted; });
+	}
+
+	/**
+	 * Pairs up the segments of two tracks, best matches first. Segments pair up if
+	 * they overlap in time and either have similar text or mostly the same timing.
+	 * Returns a list of changes, {type, a, b, retimed, similarity}, in time order.
+	 **/
+	function align(ta, tb, opts){
+		var changes = [], candidates = [],
+			asegs = live(ta), bsegs = live(tb),
+			atexts = asegs.map(plain), btexts = bsegs.map(plain),
+			amatched = [], bmatched = [],
+			first = 0;
+
+		asegs.forEach(function(a, i){
+			var j, b, o, s;
+			//segments are in start time order, so anything that ends before this one starts
+			//can't overlap the ones after it either
+			while(first < bsegs.length && bsegs[first].endTime <= a.startTime){ first++; }
+			for(j = first; (b = bsegs[j]) && b.startTime < a.endTime; j++){
+				o = overlap(a, b);
+				if(o === 0){ continue; }
+				s = similarity(atexts[i], btexts[j]);
+				if(s < opts.threshold && o < 0.5){ continue; }
+				candidates.push({i: i, j: j, score: s + o, similarity: s});
+			}
+		});
+
+		candidates.sort(function(x, y){ return y.score - x.score; });
+		candidates.forEach(function(c){
+			var a, b, timed;
+			if(amatched[c.i] || bmatched[c.j]){ return; }
+			amatched[c.i] = bmatched[c.j] = true;
+			a = asegs[c.i];
+			b = bsegs[c.j];
+			timed = Math.abs(a.startTime - b.startTime) <= opts.tolerance &&
+					Math.abs(a.endTime - b.endTime) <= opts.tolerance;
+			changes.push({
+				type: a.cue.text === b.cue.text?(timed?'unchanged':'retimed'):'text-changed',
+				a: a, b: b,
+				retimed: !timed,
+				similarity: c.similarity
+			});
+		});
+
+		asegs.forEach(function(a, i){
+			if(!amatched[i]){ changes.push({type: 'removed', a: a, b: null, retimed: false, similarity: 0}); }
+		});
+		bsegs.forEach(function(b, j){
+			if(!bmatched[j]){ changes.push({type: 'added', a: null, b: b, retimed: false, similarity: 0}); }
+		});
+
+		return changes.sort(function(x, y){
+			return changeTime(x) - changeTime(y) || (x.a?0:1) - (y.a?0:1);
+		});
+	}
+
+	function changeTime(change){
+		return (change.a || change.b).startTime;
+	}
+
+	function sameChange(x, y){
+		return x.a === y.a && x.b === y.b;
+	}
+
+	function applyState(tl, state){
+		tl.applyTimings(state.timings);
+		tl.applyTexts(state.texts);
+	}
+
+	/**
+	 * Comparison
+	 *
+	 * The alignment of two text tracks, as made by timeline.compareTracks.
+	 * Each segment's classification is kept in seg.diff for rendering, and the tracks
+	 * are aligned again whenever either changes, until the comparison is cleared.
+	 **/
+	function Comparison(tl, a, b, opts){
+		var that = this;
+		this.tl = tl;
+		this.a = a;
+		this.b = b;
+		this.opts = {
+			tolerance: (typeof opts.tolerance === 'number')?opts.tolerance:(tl.frameRate?tl.frameDuration/2:0.001),
+			threshold: (typeof opts.threshold === 'number')?opts.threshold:0.5
+		};
+		this.changes = [];
+		this.current = null;
+		this.timer = null;
+		this.listener = function(){ that.schedule(); };
+		this.onRemove = function(evt){
+			if(evt.track === that.a || evt.track === that.b){ tl.clearComparison(); }
+		};
+		Timeline.ChangeEvents.forEach(function(name){ tl.on(name, that.listener); });
+		tl.on('removetrack', this.onRemove);
+		this.update();
+	}
+
+	Proto = Comparison.prototype;
+
+	Proto.update = function(){
+		var current = this.current;
+		[this.a, this.b].forEach(function(track){
+			track.segments.forEach(function(seg){ seg.diff = null; });
+		});
+		this.changes = align(this.a, this.b, this.opts);
+		this.changes.forEach(function(change){
+			if(change.a){ change.a.diff = change.type; }
+			if(change.b){ change.b.diff = change.type; }
+		});
+		this.current = null;
+		if(current !== null){
+			this.changes.some(function(change){
+				if(!sameChange(change, current) || change.type === 'unchanged'){ return false; }
+				this.current = change;
+				return true;
+			}, this);
+		}
+		this.tl.render();
+		this.tl.emit(new Timeline.Event('compare',{a:this.a,b:this.b,changes:this.changes}));
+	};
+
+	//Batches realignment so that a command touching many segments only aligns once
+	Proto.schedule = function(){
+		var that = this;
+		if(this.timer !== null){ return; }
+		this.timer = setTimeout(function(){
+			that.timer = null;
+			that.update();
+		},0);
+	};
+
+	Proto.dispose = function(){
+		var tl = this.tl,
+			listener = this.listener;
+		Timeline.ChangeEvents.forEach(function(name){ tl.off(name, listener); });
+		tl.off('removetrack', this.onRemove);
+		if(this.timer !== null){ clearTimeout(this.timer); }
+		[this.a, this.b].forEach(function(track){
+			track.segments.forEach(function(seg){ seg.diff = null; });
+		});
+	};
+
+	Proto.differences = function(){
+		return this.changes.filter(function(change){ return change.type !== 'unchanged'; });
+	};
+
+	//Selects the segments of a change and centres the view on them
+	Proto.show = function(change){
+		var seg = change.a || change.b,
+			tl = this.tl,
+			list = this.differences();
+		this.current = change;
+		tl.tracks.forEach(function(track){ track.clearSelection(); });
+		if(change.a){ change.a.select(); }
+		if(change.b){ change.b.select(); }
+		tl.view.center((seg.startTime + seg.endTime)/2);
+		tl.render();
+		tl.emit(new Timeline.Event('comparestep',{change:change,index:list.indexOf(change),count:list.length}));
+		return change;
+	};
+
+	//Shows the next (or previous) difference
+	Proto.step = function(dir){
+		var i, time,
+			tl = this.tl,
+			list = this.differences(),
+			current = this.current;
+		if(!list.length){ return null; }
+		i = (current === null)?-1:list.indexOf(current);
+		if(~i){ i = (i + dir + list.length) % list.length; }
+		else{
+			time = tl.currentTime;
+			if(dir > 0){
+				for(i = 0; i < list.length && changeTime(list[i]) <= time; i++){}
+				if(i === list.length){ i = 0; }
+			}else{
+				for(i = list.length-1; i >= 0 && changeTime(list[i]) >= time; i--){}
+				if(i < 0){ i = list.length-1; }
+			}
+		}
+		return this.show(list[i]);
+	};
+
+	/**
+	 * Makes one side of a change match the other as one undoable edit.
+	 * into is 'a' or 'b', the track to change. Returns false if that track
+	 * can't be edited.
+	 **/
+	Proto.pull = function(change, into){
+		var before, after,
+			tl = this.tl,
+			target = this[into],
+			src = change[into === 'a'?'b':'a'],
+			dst = change[into];
+		if(into !== 'a' && into !== 'b'){ throw new Error("Changes are pulled into 'a' or 'b'"); }
+		if(!target.timingEditable || !target.textEditable){ return false; }
+		if(src && dst){
+			before = {timings: tl.getTimings([dst]), texts: tl.getTexts([dst])};
+			after = {
+				timings: [{segment: dst, startTime: src.startTime, endTime: src.endTime}],
+				texts: [{segment: dst, text: TimedText.getCueConverter(src.track.mime, target.mime)(src.cue).text}]
+			};
+			applyState(tl, after);
+			tl.commandStack.push({
+				file: target.id,
+				description: Timeline.describeEdit("Matched", [dst])+" to "+src.track.id,
+				context: tl,
+				redo: applyState.bind(null,tl,after),
+				undo: applyState.bind(null,tl,before)
+			});
+		}else if(src){
+			target.paste([src]);
+		}else if(dst){
+			tl.deleteSegments([dst]);
+		}
+		return true;
+	};
+
+	Timeline.Comparison = Comparison;
+
+	/**
+	 * Aligns the cues of two text tracks by time overlap and text similarity and
+	 * classifies each as unchanged, retimed, text-changed, added (only in b) or
+	 * removed (only in a). Options: tolerance, the largest time difference in seconds
+	 * that still counts as the same timing, and threshold, the text similarity
+	 * from 0 to 1 needed to pair cues that only partly overlap.
+	 * Returns the list of changes; the comparison is kept in timeline.comparison.
+	 **/
+	Timeline.prototype.compareTracks = function(a, b, opts){
+		var ta = (a instanceof Timeline.TextTrack)?a:this.getTrack(a),
+			tb = (b instanceof Timeline.TextTrack)?b:this.getTrack(b);
+		if(!ta){ throw new Error("Track "+a+" Does Not Exist"); }
+		if(!tb){ throw new Error("Track "+b+" Does Not Exist"); }
+		if(ta === tb){ throw new Error("Cannot Compare a Track With Itself"); }
+		this.clearComparison();
+		this.comparison = new Comparison(this, ta, tb, opts || {});
+		return this.comparison.changes;
+	};
+
+	Timeline.prototype.clearComparison = function(){
+		if(this.comparison === null){ return; }
+		this.comparison.dispose();
+		this.comparison = null;
+		this.render();
+		this.emit(new Timeline.Event('compare',{a:null,b:null,changes:[]}));
+	};
+}(Timeline));
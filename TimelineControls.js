@@ -153,7 +153,8 @@
 	}
 	
 	function Timestamp(tl){
-		var node = parseNode('<div class="tl-timestamp">0:00:00</div>');
+		var node = parseNode('<div class="tl-timestamp"></div>');
+		node.textContent = tl.timeCode;
 		tl.on('timeupdate',function(){ node.textContent = tl.timeCode; });
 		return node;
 	}
@@ -312,6 +313,19 @@
 		return btn;
 	}
 	
+	function SnapBtn(tl){
+		var set, btn;
+		btn = parseNode('<button class="tl-btn" title="Snap Edges"><i class="icon-magnet"></i></button>');
+		set = setupToggle(btn,'active',
+			function(){ tl.snap = true; },
+			function(){ tl.snap = false; }
+		);
+		set(tl.snap);
+		tl.on('snapon',function(){ set(true); });
+		tl.on('snapoff',function(){ set(false); });
+		return btn;
+	}
+	
 	function Settings(tl){
 		var node = parseNode('<div class="tl-toolbar"><strong>Settings:&nbsp;</strong></div>'),
 			group = parseNode('<div class="tl-btn-group"></div>');
@@ -320,6 +334,7 @@
 		group.appendChild(AnchorViewBtn(tl));
 		group.appendChild(AutoCueRepeatBtn(tl));
 		group.appendChild(MoveAfterAddBtn(tl));
+		group.appendChild(SnapBtn(tl));
 
 		node.appendChild(group);
 		return node;
@@ -369,6 +384,7 @@
 				{title:"Add Cue Tool",icon:"icon-plus",value:Timeline.CREATE},
 				{title:"Move Tool",icon:"icon-move",value:Timeline.MOVE},
 				{title:"Time Shift Tool",icon:"icon-resize-horizontal",value:Timeline.SHIFT},
+				{title:"Ripple Tool",icon:"icon-exchange",value:Timeline.RIPPLE},
 				{title:"Split Tool",icon:"icon-cut",value:Timeline.SPLIT},
 				{title:"Delete Tool",icon:"icon-trash",value:Timeline.DELETE},
 				{title:"Set Repeat Tool",icon:"icon-refresh",value:Timeline.REPEAT},
@@ -392,6 +408,281 @@
 		return node;
 	}
 	
+	function FindPanel(tl){
+		var node = parseNode('<div class="tl-toolbar tl-find"><strong>Find:&nbsp;</strong></div>'),
+			query = parseNode('<input type="text" class="tl-find-query" placeholder="Find"/>'),
+			replace = parseNode('<input type="text" class="tl-find-replace" placeholder="Replace with"/>'),
+			count = parseNode('<span class="tl-find-count"></span>'),
+			options = parseNode('<div class="tl-btn-group"></div>'),
+			actions = parseNode('<div class="tl-btn-group"></div>'),
+			opts = {regex: false, caseSensitive: false, wholeWord: false};
+
+		//False while the query is empty or an incomplete regular expression
+		function usable(){
+			if(!query.value){ return false; }
+			if(!opts.regex){ return true; }
+			try{ new RegExp(query.value); }
+			catch(_){
+				count.textContent = "?";
+				return false;
+			}
+			return true;
+		}
+
+		function setCount(){
+			var n;
+			count.textContent = "";
+			if(!usable()){ return; }
+			n = tl.find(query.value, opts).length;
+			count.textContent = n+(n === 1?" match":" matches");
+		}
+
+		function step(dir){
+			if(!usable()){ return; }
+			tl[dir > 0?'findNext':'findPrevious'](query.value, opts);
+		}
+
+		[	{key:'regex',title:"Regular Expression",label:".*"},
+			{key:'caseSensitive',title:"Match Case",label:"Aa"},
+			{key:'wholeWord',title:"Whole Words",label:"\\b"}
+		].forEach(function(opt){
+			var btn = parseNode('<button class="tl-btn" title="'+opt.title+'">'+opt.label+'</button>');
+			setupToggle(btn,'active',
+				function(){ opts[opt.key] = true; setCount(); },
+				function(){ opts[opt.key] = false; setCount(); }
+			);
+			options.appendChild(btn);
+		});
+
+		[	{title:"Previous Match",icon:"icon-chevron-left",fn:function(){ step(-1); }},
+			{title:"Next Match",icon:"icon-chevron-right",fn:function(){ step(1); }},
+			{title:"Replace",icon:"icon-retweet",fn:function(){
+				var seg = tl.lastFound;
+				if(!usable()){ return; }
+				if(seg && !seg.deleted){ tl.replace(seg, query.value, replace.value, opts); }
+				step(1);
+				setCount();
+			}},
+			{title:"Replace All",icon:"icon-th-list",fn:function(){
+				if(!usable()){ return; }
+				tl.replaceAll(query.value, replace.value, opts);
+				setCount();
+			}}
+		].forEach(function(action){
+			var btn = parseNode('<button class="tl-btn" title="'+action.title+'"><i class="'+action.icon+'"></i></button>');
+			setupButton(btn,'active',action.fn);
+			actions.appendChild(btn);
+		});
+
+		tl.on('found',function(event){
+			count.textContent = (event.index+1)+" of "+event.count;
+		});
+		query.addEventListener('input',function(){
+			tl.lastFound = null;
+			setCount();
+		},false);
+		query.addEventListener('keydown',function(e){
+			if(e.keyCode !== 13){ return; }
+			e.preventDefault();
+			step(e.shiftKey?-1:1);
+		},false);
+
+		node.appendChild(query);
+		node.appendChild(options);
+		node.appendChild(replace);
+		node.appendChild(actions);
+		node.appendChild(count);
+		return node;
+	}
+
+	function ComparePanel(tl){
+		var node = parseNode('<div class="tl-toolbar tl-compare"><strong>Compare:&nbsp;</strong></div>'),
+			picka = parseNode('<select class="tl-compare-track"></select>'),
+			pickb = parseNode('<select class="tl-compare-track"></select>'),
+			actions = parseNode('<div class="tl-btn-group"></div>'),
+			count = parseNode('<span class="tl-compare-count"></span>'),
+			list = parseNode('<ul class="tl-compare-list"></ul>'),
+			labels = {
+				'retimed': "Retimed",
+				'text-changed': "Text Changed",
+				'added': "Added",
+				'removed': "Removed"
+			};
+
+		if(!Timeline.Comparison){ throw new Error("TimelineCompare.js Not Loaded"); }
+
+		function fillTracks(){
+			[picka, pickb].forEach(function(pick, i){
+				var value = pick.value;
+				pick.innerHTML = '';
+				tl.trackNames.forEach(function(name){
+					var opt = document.createElement('option');
+					opt.value = opt.textContent = name;
+					pick.appendChild(opt);
+				});
+				if(tl.trackIndices.hasOwnProperty(value)){ pick.value = value; }
+				else if(tl.tracks[i]){ pick.value = tl.tracks[i].id; }
+			});
+		}
+
+		function fillList(){
+			var c = tl.comparison,
+				diffs = c?c.differences():[];
+			list.innerHTML = '';
+			count.textContent = c?diffs.length+(diffs.length === 1?" difference":" differences"):"";
+			diffs.forEach(function(change){
+				var item = document.createElement('li'),
+					seg = change.a || change.b;
+				item.textContent = tl.formatTime(seg.startTime,3)+" "+labels[change.type];
+				if(change === c.current){ item.className = 'active'; }
+				item.addEventListener('click',function(){ c.show(change); },false);
+				list.appendChild(item);
+			});
+		}
+
+		function pull(into){
+			var c = tl.comparison;
+			if(c === null){ return; }
+			if(c.current === null){ c.step(1); }
+			if(c.current !== null){ c.pull(c.current, into); }
+		}
+
+		[	{title:"Compare Tracks",icon:"icon-columns",fn:function(){
+				if(!picka.value || !pickb.value || picka.value === pickb.value){ return; }
+				tl.compareTracks(picka.value, pickb.value);
+			}},
+			{title:"Previous Difference",icon:"icon-chevron-left",fn:function(){
+				if(tl.comparison){ tl.comparison.step(-1); }
+			}},
+			{title:"Next Difference",icon:"icon-chevron-right",fn:function(){
+				if(tl.comparison){ tl.comparison.step(1); }
+			}},
+			{title:"Use First Track's Version",icon:"icon-arrow-right",fn:function(){ pull('b'); }},
+			{title:"Use Second Track's Version",icon:"icon-arrow-left",fn:function(){ pull('a'); }},
+			{title:"Clear Comparison",icon:"icon-remove",fn:function(){ tl.clearComparison(); }}
+		].forEach(function(action){
+			var btn = parseNode('<button class="tl-btn" title="'+action.title+'"><i class="'+action.icon+'"></i></button>');
+			setupButton(btn,'active',action.fn);
+			actions.appendChild(btn);
+		});
+
+		fillTracks();
+		tl.on('addtrack',fillTracks);
+		tl.on('removetrack',fillTracks);
+		tl.on('compare',fillList);
+		tl.on('comparestep',function(event){
+			fillList();
+			count.textContent = (event.index+1)+" of "+event.count;
+		});
+
+		node.appendChild(picka);
+		node.appendChild(pickb);
+		node.appendChild(actions);
+		node.appendChild(count);
+		node.appendChild(list);
+		return node;
+	}
+
+	function SnapshotPanel(tl){
+		var node = parseNode('<div class="tl-toolbar tl-snapshots"><strong>Snapshots:&nbsp;</strong></div>'),
+			pick = parseNode('<select class="tl-snapshot-track"></select>'),
+			name = parseNode('<input type="text" class="tl-snapshot-name" placeholder="Snapshot name"/>'),
+			take = parseNode('<button class="tl-btn" title="Take Snapshot"><i class="icon-camera"></i></button>'),
+			list = parseNode('<ul class="tl-snapshot-list"></ul>');
+
+		if(!tl.snapshots){ throw new Error("TimelineSnapshots.js Not Loaded"); }
+
+		function fillTracks(){
+			var value = pick.value;
+			pick.innerHTML = '';
+			tl.trackNames.forEach(function(id){
+				var opt = document.createElement('option');
+				opt.value = opt.textContent = id;
+				pick.appendChild(opt);
+			});
+			if(tl.trackIndices.hasOwnProperty(value)){ pick.value = value; }
+		}
+
+		function fillList(){
+			list.innerHTML = '';
+			tl.snapshots.list.slice().reverse().forEach(function(snapshot){
+				var item = document.createElement('li'),
+					group = parseNode('<div class="tl-btn-group"></div>');
+				item.appendChild(document.createTextNode(
+					snapshot.name + " \u2014 " + snapshot.trackId + ", " +
+					snapshot.cues.length + (snapshot.cues.length === 1?" cue, ":" cues, ") +
+					new Date(snapshot.created).toLocaleString()
+				));
+				[	{title:"Restore",icon:"icon-share-alt",fn:function(){ tl.snapshots.restore(snapshot); }},
+					{title:"Open as Track",icon:"icon-columns",fn:function(){
+						if(tl.trackIndices.hasOwnProperty(tl.snapshots.trackName(snapshot))){ return; } //already open
+						tl.snapshots.open(snapshot);
+					}},
+					{title:"Delete",icon:"icon-trash",fn:function(){ tl.snapshots.remove(snapshot); }}
+				].forEach(function(action){
+					var btn = parseNode('<button class="tl-btn" title="'+action.title+'"><i class="'+action.icon+'"></i></button>');
+					setupButton(btn,'active',action.fn);
+					group.appendChild(btn);
+				});
+				item.appendChild(group);
+				list.appendChild(item);
+			});
+		}
+
+		setupButton(take,'active',function(){
+			if(!pick.value){ return; }
+			tl.takeSnapshot(pick.value, name.value);
+			name.value = '';
+		});
+
+		fillTracks();
+		fillList();
+		tl.on('addtrack',fillTracks);
+		tl.on('removetrack',fillTracks);
+		tl.on('snapshot',fillList);
+
+		node.appendChild(pick);
+		node.appendChild(name);
+		node.appendChild(take);
+		node.appendChild(list);
+		return node;
+	}
+
+	function HistoryPanel(tl){
+		var node = parseNode('<div class="tl-toolbar tl-history"><strong>History:&nbsp;</strong></div>'),
+			list = parseNode('<ol class="tl-history-list" start="0"></ol>');
+
+		if(!tl.history){ throw new Error("TimelineHistory.js Not Loaded"); }
+
+		function item(text, file, n){
+			var span, li = document.createElement('li'),
+				history = tl.history;
+			li.textContent = text;
+			if(file){
+				span = parseNode('<span class="tl-history-file"></span>');
+				span.textContent = file;
+				li.appendChild(span);
+			}
+			if(n === history.position){ li.className = 'active'; }
+			else if(n > history.position){ li.className = 'tl-history-undone'; }
+			li.addEventListener('click',function(){ history.goTo(n); },false);
+			return li;
+		}
+
+		function fillList(){
+			list.innerHTML = '';
+			list.appendChild(item("Original", null, 0));
+			tl.history.entries.forEach(function(entry, i){
+				list.appendChild(item(entry.description, entry.file, i+1));
+			});
+		}
+
+		fillList();
+		tl.on('history',fillList);
+		node.appendChild(list);
+		return node;
+	}
+
 	Timeline.Controls = {
 		MakeGroup: function(title, groups){
 			return function(tl){ return BuildSection(tl,title,groups); };
@@ -401,7 +692,11 @@
 			'actions': Actions,
 			'settings': Settings,
 			'tracks': TrackControls,
-			'timestamp': Timestamp
+			'timestamp': Timestamp,
+			'find': FindPanel,
+			'compare': ComparePanel,
+			'snapshots': SnapshotPanel,
+			'history': HistoryPanel
 		},
 		Elements: {
 			newtrackbtn: NewTrackBtn,
@@ -412,6 +707,7 @@
 			trackseekerbtn: AnchorViewBtn,
 			cuerepeatbtn: AutoCueRepeatBtn,
 			automovebtn: MoveAfterAddBtn,
+			snapbtn: SnapBtn,
 			undobtn: UndoBtn,
 			redobtn: RedoBtn,
 			clearrepeatbtn: ClearRepBtn,
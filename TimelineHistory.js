@@ -0,0 +1,124 @@
+(function(Timeline){
+	"use strict";
+	var Proto;
+
+	if(!Timeline){
+		throw new Error("Timeline Uninitialized");
+	}
+
+	function makeEntry(command){
+		return {
+			description: command.description || "Edited "+command.file,
+			file: command.file,
+			command: command
+		};
+	}
+
+	/**
+	 * History
+	 *
+	 * Keeps a readable list of the commands on the timeline's command stack, so they can
+	 * be shown and jumped between. The stack only exposes its depths, so push, undo, redo,
+	 * removeEvents and renameEvents are wrapped to keep the list in step with it.
+	 * entries[0..position-1] are done; the rest have been undone and can be redone.
+	 **/
+	function History(tl){
+		var that = this,
+			stack = tl.commandStack,
+			push = stack.push,
+			undo = stack.undo,
+			redo = stack.redo,
+			removeEvents = stack.removeEvents,
+			renameEvents = stack.renameEvents;
+
+		this.tl = tl;
+		this.entries = [];
+		this.position = 0;
+
+		stack.push = function(command){
+			var r = push.apply(stack, arguments);
+			that.entries.length = that.position;
+			that.entries.push(makeEntry(command));
+			that.position++;
+			that.emit();
+			return r;
+		};
+		stack.undo = function(){
+			var r = undo.apply(stack, arguments);
+			that.sync(-1, r);
+			return r;
+		};
+		stack.redo = function(){
+			var r = redo.apply(stack, arguments);
+			that.sync(1, r);
+			return r;
+		};
+		stack.removeEvents = function(file){
+			var r = removeEvents.apply(stack, arguments),
+				done = that.entries.slice(0, that.position).filter(function(e){ return e.file !== file; });
+			that.entries = done.concat(that.entries.slice(that.position).filter(function(e){ return e.file !== file; }));
+			that.position = done.length;
+			that.emit();
+			return r;
+		};
+		stack.renameEvents = function(oldname, newname){
+			var r = renameEvents.apply(stack, arguments);
+			that.entries.forEach(function(e){
+				if(e.file === oldname){ e.file = newname; }
+			});
+			that.emit();
+			return r;
+		};
+	}
+
+	Proto = History.prototype;
+
+	Proto.emit = function(){
+		this.tl.emit(new Timeline.Event('history',{entries: this.entries, position: this.position}));
+	};
+
+	/**
+	 * Moves the position after an undo or redo, trusting the stack's own undo or redo depth
+	 * where it has one. Otherwise the position only moves if the stack didn't return false,
+	 * and never past either end of the list.
+	 **/
+	Proto.sync = function(dir, result){
+		var stack = this.tl.commandStack,
+			position = this.position;
+		if(typeof stack.undoDepth === 'number'){ position = stack.undoDepth; }
+		else if(typeof stack.redoDepth === 'number'){ position = this.entries.length - stack.redoDepth; }
+		else if(result !== false){ position += dir; }
+		this.position = Math.max(0, Math.min(position, this.entries.length));
+		this.emit();
+	};
+
+	/**
+	 * Undoes or redoes commands until the first n entries are done,
+	 * i.e. to just after entries[n-1]; goTo(0) undoes everything.
+	 * Stops early if an undo or redo doesn't move the position, and returns whether n was reached.
+	 **/
+	Proto.goTo = function(n){
+		var last,
+			stack = this.tl.commandStack;
+		n = Math.max(0, Math.min(n, this.entries.length));
+		while(this.position !== n && last !== this.position){
+			last = this.position;
+			if(this.position > n){ stack.undo(); }
+			else{ stack.redo(); }
+		}
+		return this.position === n;
+	};
+
+	Object.defineProperties(Proto,{
+		undoEntry: {
+			get: function(){ return this.position > 0?this.entries[this.position-1]:null; },
+			enumerable: true
+		},
+		redoEntry: {
+			get: function(){ return this.position < this.entries.length?this.entries[this.position]:null; },
+			enumerable: true
+		}
+	});
+
+	Timeline.History = History;
+}(Timeline));
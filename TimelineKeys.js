@@ -0,0 +1,210 @@
+(function(Timeline){
+	"use strict";
+	var Proto;
+
+	if(!Timeline){
+		throw new Error("Timeline Uninitialized");
+	}
+
+	var keyNames = {
+		8: 'backspace', 9: 'tab', 13: 'enter', 27: 'escape', 32: 'space',
+		33: 'pageup', 34: 'pagedown', 35: 'end', 36: 'home',
+		37: 'left', 38: 'up', 39: 'right', 40: 'down',
+		45: 'insert', 46: 'delete',
+		186: ';', 187: '=', 188: ',', 189: '-', 190: '.', 191: '/',
+		219: '[', 220: '\\', 221: ']', 222: '\''
+	};
+
+	var modifiers = ['ctrl','alt','shift','meta'];
+
+	//Puts modifiers in a canonical order so that "shift+ctrl+z" and "ctrl+shift+z" are the same binding
+	function normalize(combo){
+		var parts = combo.toLowerCase().replace(/\s+/g,'').split('+'),
+			key = parts.pop(),
+			mods = {};
+		parts.forEach(function(m){
+			mods[m === 'control'?'ctrl':m === 'cmd'?'meta':m] = true;
+		});
+		return modifiers.filter(function(m){ return mods[m]; }).concat(key).join('+');
+	}
+
+	function eventCombo(e){
+		var code = e.keyCode,
+			key = keyNames[code] ||
+				((code >= 112 && code <= 123)?'f'+(code-111):String.fromCharCode(code).toLowerCase());
+		return (e.ctrlKey?'ctrl+':'') + (e.altKey?'alt+':'') + (e.shiftKey?'shift+':'') + (e.metaKey?'meta+':'') + key;
+	}
+
+	function isEditable(node){
+		for(;node && node.nodeType === Node.ELEMENT_NODE;node = node.parentNode){
+			if(node.isContentEditable){ return true; }
+			switch(node.tagName){
+			case 'INPUT':
+			case 'TEXTAREA':
+			case 'SELECT':
+				return true;
+			}
+		}
+		return false;
+	}
+
+	//Keys belong to the timeline only while it has focus or the pointer is over it
+	function keyDown(e){
+		var action;
+		if(!this.enabled || e.defaultPrevented || isEditable(document.activeElement)){ return; }
+		if(!this.hovered && !this.tl.root.contains(document.activeElement)){ return; }
+		action = this.bindings[eventCombo(e)];
+		if(typeof action === 'undefined'){ return; }
+		if(this.exec(action)){ e.preventDefault(); }
+	}
+
+	function setTool(tool){
+		return function(){ this.currentTool = tool; };
+	}
+
+	/**
+	 * Keymap
+	 *
+	 * Maps key combinations like "ctrl+shift+z" to named commands or functions.
+	 * Commands are called in the context of the Timeline.
+	 * Keys are only handled while focus is inside the timeline or the pointer is over it,
+	 * and are ignored while an input, textarea or contenteditable element has focus.
+	 **/
+	function Keymap(tl, bindings){
+		var that = this;
+		this.tl = tl;
+		this.enabled = true;
+		this.hovered = false;
+		this.bindings = {};
+		this.commands = Object.create(Keymap.Commands);
+
+		if(bindings !== false){
+			Object.keys(Keymap.Defaults).forEach(function(combo){
+				that.bind(combo, Keymap.Defaults[combo]);
+			});
+		}
+		if(typeof bindings === 'object'){
+			Object.keys(bindings).forEach(function(combo){
+				if(bindings[combo] === null){ that.unbind(combo); }
+				else{ that.bind(combo, bindings[combo]); }
+			});
+		}
+
+		this.listeners = {
+			keydown: keyDown.bind(this),
+			mouseenter: function(){ that.hovered = true; },
+			mouseleave: function(){ that.hovered = false; }
+		};
+		document.addEventListener('keydown', this.listeners.keydown, false);
+		tl.root.addEventListener('mouseenter', this.listeners.mouseenter, false);
+		tl.root.addEventListener('mouseleave', this.listeners.mouseleave, false);
+	}
+
+	Keymap.Commands = {
+		undo: function(){ this.commandStack.undo(); },
+		redo: function(){ this.commandStack.redo(); },
+		selecttool: setTool(Timeline.SELECT),
+		movetool: setTool(Timeline.MOVE),
+		createtool: setTool(Timeline.CREATE),
+		splittool: setTool(Timeline.SPLIT),
+		deletetool: setTool(Timeline.DELETE),
+		shifttool: setTool(Timeline.SHIFT),
+		rippletool: setTool(Timeline.RIPPLE),
+		repeattool: setTool(Timeline.REPEAT),
+		ordertool: setTool(Timeline.ORDER),
+		deleteselected: function(){ this.deleteSelection(); },
+		copyselected: function(){ this.copySelection(); },
+		split: function(){ this.splitAtTime(this.currentTime); },
+		pasteatplayhead: function(){
+			var track = this.trackFromPos(this.mousePos);
+			if(track && track.timingEditable && track.textEditable && this.toCopy.length){
+				track.paste(this.toCopy,{at:this.currentTime});
+			}
+		},
+		nudgeleft: function(){ this.nudgeSelection(-1); },
+		nudgeright: function(){ this.nudgeSelection(1); },
+		nextunreviewed: function(){ this.nextUnreviewed(); },
+		playpause: function(){
+			var media = this.media;
+			if(!media){ return; }
+			if(media.paused){ media.play(); }
+			else{ media.pause(); }
+		},
+		abrepeat: function(){ this.abRepeatOn = !this.abRepeatOn; }
+	};
+
+	Keymap.Defaults = {
+		'ctrl+z': 'undo',
+		'meta+z': 'undo',
+		'ctrl+y': 'redo',
+		'ctrl+shift+z': 'redo',
+		'meta+shift+z': 'redo',
+		'delete': 'deleteselected',
+		'backspace': 'deleteselected',
+		'ctrl+k': 'split',
+		'ctrl+shift+v': 'pasteatplayhead',
+		'alt+left': 'nudgeleft',
+		'alt+right': 'nudgeright',
+		'n': 'nextunreviewed',
+		'space': 'playpause',
+		'r': 'abrepeat',
+		'v': 'selecttool',
+		'm': 'movetool',
+		'c': 'createtool',
+		'x': 'splittool',
+		'd': 'deletetool',
+		'h': 'shifttool',
+		'p': 'rippletool',
+		'e': 'repeattool',
+		'o': 'ordertool'
+	};
+
+	Proto = Keymap.prototype;
+
+	Proto.bind = function(combo, action){
+		if(typeof action !== 'function' && typeof action !== 'string'){
+			throw new Error("Key bindings must be command names or functions");
+		}
+		this.bindings[normalize(combo)] = action;
+	};
+
+	Proto.unbind = function(combo){
+		delete this.bindings[normalize(combo)];
+	};
+
+	Proto.define = function(name, fn){
+		this.commands[name] = fn;
+	};
+
+	Proto.exec = function(action){
+		var fn = typeof action === 'function'?action:this.commands[action];
+		if(typeof fn !== 'function'){ return false; }
+		fn.call(this.tl);
+		return true;
+	};
+
+	//Stops listening for keys; the keymap can't be used afterwards
+	Proto.dispose = function(){
+		var root = this.tl.root;
+		this.enabled = false;
+		document.removeEventListener('keydown', this.listeners.keydown, false);
+		root.removeEventListener('mouseenter', this.listeners.mouseenter, false);
+		root.removeEventListener('mouseleave', this.listeners.mouseleave, false);
+	};
+
+	Proto.keysFor = function(command){
+		var bindings = this.bindings;
+		return Object.keys(bindings).filter(function(combo){
+			return bindings[combo] === command;
+		});
+	};
+
+	//Human-readable form of a combo, e.g. "Ctrl+Shift+Z"
+	Keymap.label = function(combo){
+		return combo.split('+').map(function(part){
+			return part.charAt(0).toUpperCase() + part.substr(1);
+		}).join('+');
+	};
+
+	Timeline.Keymap = Keymap;
+}(Timeline));
@@ -8,24 +8,58 @@
 	Timeline.Menu = [
 		{name: "Editor",
 			submenu:[
-				{name:"Undo",
+				{name:"Undo", command:"undo",
+					label:function(){
+						var history = this.timeline.history;
+						return (history && history.undoEntry)?"Undo "+history.undoEntry.description:"Undo";
+					},
 					condition:function(){return this.timeline.commandStack.undoDepth > 0; },
 					action:function(){ this.timeline.commandStack.undo(); }},
-				{name:"Redo",
+				{name:"Redo", command:"redo",
+					label:function(){
+						var history = this.timeline.history;
+						return (history && history.redoEntry)?"Redo "+history.redoEntry.description:"Redo";
+					},
 					condition:function(){return this.timeline.commandStack.redoDepth > 0; },
 					action:function(){ this.timeline.commandStack.redo(); }},
+				{name:"Split at Playhead", command:"split",
+					action:function(){
+						var tl = this.timeline;
+						tl.splitAtTime(tl.currentTime);
+					}},
 				{name:"Anchor View",
 					label:function(){ return this.timeline.trackSeeker?"Ignore Seeker":"Anchor View to Seeker"; },
 					action:function(){ this.timeline.trackSeeker = !this.timeline.trackSeeker; }},
+				{name:"Ripple Scope",
+					label:function(){ return this.timeline.rippleAllTracks?"Ripple Current Track Only":"Ripple All Tracks"; },
+					action:function(){ this.timeline.rippleAllTracks = !this.timeline.rippleAllTracks; }},
+				{name:"Frame Rate",
+					submenu:[
+						{name:"None",
+							label:function(){ return this.timeline.frameRate === null?"<i>None</i>":"None"; },
+							action:function(){ this.timeline.frameRate = null; }}
+					],
+					calc:function(f){
+						Timeline.FrameRates.forEach(function(rate){
+							f(this.timeline.frameRate === rate?
+								{name: "<i>"+rate+"</i>"}:
+								{name: ""+rate,
+									action: function(){ this.timeline.frameRate = rate; }});
+						},this);
+					}},
+				{name:"Snapping",
+					label:function(){ return this.timeline.snap?"Disable Snapping":"Enable Snapping"; },
+					action:function(){ this.timeline.snap = !this.timeline.snap; }},
 				{name:"Tools",submenu:[
-					{name:"Select",action:function(){ this.timeline.currentTool = Timeline.SELECT; }},
-					{name:"Move",action:function(){ this.timeline.currentTool = Timeline.MOVE; }},
-					{name:"Add",action:function(){ this.timeline.currentTool = Timeline.CREATE; }},
-					{name:"Split",action:function(){ this.timeline.currentTool = Timeline.SPLIT; }},
-					{name:"Delete",action:function(){ this.timeline.currentTool = Timeline.DELETE; }},
-					{name:"Shift",action:function(){ this.timeline.currentTool = Timeline.SHIFT; }},
+					{name:"Select",command:"selecttool",action:function(){ this.timeline.currentTool = Timeline.SELECT; }},
+					{name:"Move",command:"movetool",action:function(){ this.timeline.currentTool = Timeline.MOVE; }},
+					{name:"Add",command:"createtool",action:function(){ this.timeline.currentTool = Timeline.CREATE; }},
+					{name:"Split",command:"splittool",action:function(){ this.timeline.currentTool = Timeline.SPLIT; }},
+					{name:"Delete",command:"deletetool",action:function(){ this.timeline.currentTool = Timeline.DELETE; }},
+					{name:"Shift",command:"shifttool",action:function(){ this.timeline.currentTool = Timeline.SHIFT; }},
+					{name:"Ripple",command:"rippletool",action:function(){ this.timeline.currentTool = Timeline.RIPPLE; }},
 					{name:"Copy",action:function(){ this.timeline.currentTool = Timeline.COPY; }},
-					{name:"Set Repeat",action:function(){ this.timeline.currentTool = Timeline.REPEAT; }}
+					{name:"Set Repeat",command:"repeattool",action:function(){ this.timeline.currentTool = Timeline.REPEAT; }}
 				]},
 				{name:"New Track",
 					condition:function(){return !!this.timeline.canGetFor('newtrack',[]); },
@@ -66,6 +100,69 @@
 					}
 				}
 			]},
+		{name:"Selection",
+			condition:function(){
+				return this.timeline.selectedSegments.length > 0;
+			},
+			vars: {
+				movable: function(){
+					return this.timeline.selectedSegments.some(function(seg){ return seg.track.timingEditable; });
+				},
+				deletable: function(){
+					return this.timeline.selectedSegments.some(function(seg){
+						return seg.track.timingEditable && seg.track.textEditable;
+					});
+				}
+			},
+			submenu:[
+				{name:"Copy", command:"copyselected",
+					action:function(){ this.timeline.copySelection(); }},
+				{name:"Delete", command:"deleteselected",
+					condition:function(pos,vars){ return vars.deletable; },
+					action:function(){ this.timeline.deleteSelection(); }},
+				{name:"Move to Playhead",
+					condition:function(pos,vars){ return vars.movable; },
+					action:function(){
+						var tl = this.timeline,
+							start = Math.min.apply(Math, tl.selectedSegments.filter(function(seg){
+								return seg.track.timingEditable && !seg.deleted;
+							}).map(function(seg){ return seg.startTime; }));
+						tl.shiftSelection(tl.currentTime - start);
+					}},
+				{name:"Nudge Left", command:"nudgeleft",
+					condition:function(pos,vars){ return vars.movable; },
+					action:function(){ this.timeline.nudgeSelection(-1); }},
+				{name:"Nudge Right", command:"nudgeright",
+					condition:function(pos,vars){ return vars.movable; },
+					action:function(){ this.timeline.nudgeSelection(1); }},
+				{name:"Review",
+					submenu:[
+						{name:"Approve",
+							action:function(){ this.timeline.reviewSelection('approved'); }},
+						{name:"Needs Fix",
+							action:function(){ this.timeline.reviewSelection('needs-fix'); }},
+						{name:"Mark Unreviewed",
+							action:function(){ this.timeline.reviewSelection('unreviewed'); }}
+					]},
+				{name:"Link",
+					condition:function(){
+						var tracks = [];
+						this.timeline.selectedSegments.forEach(function(seg){
+							if(tracks.indexOf(seg.track) === -1){ tracks.push(seg.track); }
+						});
+						return tracks.length > 1;
+					},
+					action:function(){ this.timeline.linkSelection(); }},
+				{name:"Unlink",
+					condition:function(){
+						return this.timeline.selectedSegments.some(function(seg){ return seg.linkGroup !== null; });
+					},
+					action:function(){ this.timeline.unlinkSelection(); }},
+				{name:"Unselect All",
+					action:function(){
+						this.timeline.tracks.forEach(function(track){ track.clearSelection(); });
+					}}
+			]},
 		{name:"Track",
 			condition:function(){return !!this.track; },
 			vars: {
@@ -78,16 +175,28 @@
 				{name:"Lock",
 					label:function(){ return this.track.locked?"Unlock":"Lock"; },
 					action:function(){ this.track.locked = !this.track.locked; }},
+				{name:"Lock Timing",
+					label:function(){ return this.track.timingLocked?"Unlock Timing":"Lock Timing"; },
+					condition:function(){ return !this.track.locked; },
+					action:function(){ this.track.timingLocked = !this.track.timingLocked; }},
+				{name:"Lock Text",
+					label:function(){ return this.track.textLocked?"Unlock Text":"Lock Text"; },
+					condition:function(){ return !this.track.locked; },
+					action:function(){ this.track.textLocked = !this.track.textLocked; }},
 				{name:"Auto Settings",
 					submenu:[
 						{name:"Auto Cue",
 							label:function(){ return this.track.autoCue?"Stop AutoCue":"Start AutoCue"; },
-							condition:function(){ return !this.track.locked; },
+							condition:function(){ return this.track.timingEditable && this.track.textEditable; },
 							action:function(pos){ this.track.autoCue = !this.track.autoCue; }},
 						{name:"Auto Fill",
 							label:function(){ return this.track.autoFill?"Stop AutoFill":"Start AutoFill"; },
-							condition:function(){ return !this.track.locked && this.track.linebuffer.length; },
+							condition:function(){ return this.track.textEditable && this.track.linebuffer.length; },
 							action:function(pos){ this.track.autoFill = !this.track.autoFill; }},
+						{name:"Auto Renumber",
+							label:function(){ return this.track.autoRenumber?"Stop Renumbering on Save":"Renumber on Save"; },
+							condition:function(){ return !this.track.locked; },
+							action:function(){ this.track.autoRenumber = this.track.autoRenumber?null:{start:1}; }},
 						{name:"Clear Buffer",
 							condition:function(){ return !this.track.locked && this.track.linebuffer.length; },
 							action:function(pos){ this.track.linebuffer = []; }},
@@ -138,18 +247,200 @@
 					condition:function(){
 						var copy = this.timeline.toCopy,
 							track = this.track;
-						return !track.locked && copy.length && copy[0].track !== track;
+						return track.timingEditable && track.textEditable && copy.length && copy[0].track !== track;
 					},
 					action:function(){ this.track.paste(this.timeline.toCopy); }},
+				{name:"Paste at Playhead",
+					condition:function(){ return this.track.timingEditable && this.track.textEditable && this.timeline.toCopy.length; },
+					submenu:[
+						{name:"Allow Overlaps", command:"pasteatplayhead",
+							action:function(){
+								var tl = this.timeline;
+								this.track.paste(tl.toCopy,{at:tl.currentTime});
+							}},
+						{name:"Ripple Later Cues",
+							action:function(){
+								var tl = this.timeline;
+								this.track.paste(tl.toCopy,{at:tl.currentTime,overlap:'ripple'});
+							}},
+						{name:"Only Into Free Space",
+							action:function(){
+								var tl = this.timeline;
+								this.track.paste(tl.toCopy,{at:tl.currentTime,overlap:'refuse'});
+							}}
+					]},
 				{name:"Copy Selected",
-					condition:function(pos,vars){ return !this.track.locked && vars.numSelected > 0; },
+					condition:function(pos,vars){ return vars.numSelected > 0; },
 					action:function(){ this.track.copySelected(); }},
 				{name:"Merge Selected",
-					condition:function(pos,vars){ return !this.track.locked && vars.numSelected > 1; },
+					condition:function(pos,vars){
+						return this.track.timingEditable && this.track.textEditable && vars.numSelected > 1;
+					},
 					action:function(){ this.track.mergeSelected(); }},
 				{name:"Delete Selected",
-					condition:function(pos,vars){ return !this.track.locked && vars.numSelected > 0; },
+					condition:function(pos,vars){
+						return this.track.timingEditable && this.track.textEditable && vars.numSelected > 0;
+					},
 					action:function(){ this.track.deleteSelected(); }},
+				{name:"Renumber Cues",
+					condition:function(){ return this.track.textEditable; },
+					action:function(){ this.timeline.renumber(this.track, this.track.autoRenumber || {start:1}); }},
+				{name:"Track Changes",
+					vars: {
+						changes: function(){ return this.track.pendingChanges(); }
+					},
+					submenu:[
+						{name:"Toggle",
+							label:function(){ return this.track.trackChanges?"Stop Tracking Changes":"Start Tracking Changes"; },
+							condition:function(){ return this.track.timingEditable || this.track.textEditable; },
+							action:function(){ this.track.trackChanges = !this.track.trackChanges; }},
+						{name:"Accept All",
+							condition:function(pos,vars){ return vars.changes.length > 0; },
+							action:function(){ this.track.acceptChanges(); }},
+						{name:"Reject All",
+							condition:function(pos,vars){
+								var track = this.track;
+								return vars.changes.some(function(c){
+									return (c.type === 'text')?track.textEditable:track.timingEditable;
+								});
+							},
+							action:function(){ this.track.rejectChanges(); }}
+					],
+					calc:function(f){
+						var tl = this.timeline,
+							names = {insert:"Inserted", 'delete':"Deleted", text:"Text Changed", timing:"Retimed"};
+						//the rest can be handled in bulk or from the segment menu
+						this.track.pendingChanges().slice(0,20).forEach(function(change){
+							f({name: names[change.type] + " at " + tl.formatTime(change.segment.startTime),
+								submenu:[
+									{name:"Accept", action:function(){ this.track.acceptChange(change); }},
+									{name:"Reject",
+										condition:function(){
+											return (change.type === 'text')?this.track.textEditable:this.track.timingEditable;
+										},
+										action:function(){ this.track.rejectChange(change); }}
+								]});
+						});
+					}},
+				{name:"Link Matching Timecodes",
+					condition:function(){ return this.timeline.tracks.length > 1; },
+					action:function(){ this.timeline.autoLink(); }},
+				{name:"Reflow Text",
+					condition:function(){ return this.track.textEditable; },
+					submenu:[
+						{name:"Reflow All",
+							action:function(){ this.track.reflow(); }},
+						{name:"Reflow Selected",
+							condition:function(pos,vars){ return vars.numSelected > 0; },
+							action:function(){ this.track.reflow({},this.timeline.selectedSegments); }},
+						{name:"Reflow and Split Oversize Cues",
+							condition:function(){ return this.track.timingEditable; },
+							action:function(){ this.track.reflow({split:true}); }}
+					]},
+				{name:"Validate",
+					condition:function(){ return !!this.timeline.validator; },
+					submenu:[
+						{name:"Clear Issues",
+							condition:function(){ return this.timeline.validator.profileFor(this.track) !== null; },
+							action:function(){ this.timeline.validator.clear(this.track); }}
+					],
+					calc:function(f){
+						var validator = this.timeline.validator,
+							current = validator.profileFor(this.track);
+						for(var key in validator.profiles){
+							(function(key, profile){
+								f({name: current === profile?"<i>"+profile.name+"</i>":profile.name,
+									action: function(){ this.timeline.validate(this.track, key); }});
+							}(key, validator.profiles[key]));
+						}
+					}},
+				{name:"Snapshots",
+					condition:function(){ return !!this.timeline.snapshots; },
+					submenu:[
+						{name:"Take Snapshot",
+							action:function(){
+								var tl = this.timeline,
+									track = this.track;
+								tl.getFor('snapshot',['name'],{name:''}).then(function(values){
+									tl.takeSnapshot(track, values[0]);
+								});
+							}}
+					],
+					calc:function(f){
+						var tl = this.timeline,
+							track = this.track;
+						tl.snapshots.forTrack(track).reverse().forEach(function(snapshot){
+							f({name: snapshot.name + " (" + snapshot.cues.length + " cues, " +
+									new Date(snapshot.created).toLocaleTimeString() + ")",
+								submenu:[
+									{name:"Restore",
+										condition:function(){ return track.timingEditable && track.textEditable; },
+										action:function(){ tl.snapshots.restore(snapshot, track); }},
+									{name:"Open as Track",
+										condition:function(){ return !tl.trackIndices.hasOwnProperty(tl.snapshots.trackName(snapshot)); },
+										action:function(){ tl.snapshots.open(snapshot); }},
+									{name:"Delete",
+										action:function(){ tl.snapshots.remove(snapshot); }}
+								]});
+						});
+					}},
+				{name:"Normalize Timing",
+					condition:function(){ return this.track.timingEditable; },
+					vars: {
+						segs: function(pos,vars){
+							var track = this.track;
+							return vars.numSelected?this.timeline.selectedSegments.filter(function(seg){
+								return seg.track === track;
+							}):void 0;
+						}
+					},
+					submenu:[
+						{name:"Preview",
+							label:function(pos,vars){ return vars.segs?"Preview Selected":"Preview"; },
+							action:function(pos,vars){
+								var opts = Object.create(this.timeline.normalizeOptions);
+								opts.preview = true;
+								this.track.normalizeTimings(opts,vars.segs);
+							}},
+						{name:"Apply",
+							label:function(pos,vars){ return vars.segs?"Apply to Selected":"Apply"; },
+							action:function(pos,vars){ this.track.normalizeTimings(this.timeline.normalizeOptions,vars.segs); }},
+						{name:"Clear Preview",
+							condition:function(){ return this.track.ghosts.length > 0; },
+							action:function(){ this.track.clearPreview(); }}
+					]},
+				{name:"Retime",
+					condition:function(){ return this.track.timingEditable; },
+					submenu:[
+						{name:"Apply Two-Point Sync",
+							condition:function(){ return this.track.syncPoints.length === 2; },
+							action:function(){ this.track.retime({points:this.track.syncPoints}); }},
+						{name:"Clear Sync Points",
+							condition:function(){ return this.track.syncPoints.length > 0; },
+							action:function(){ this.track.clearSyncPoints(); }},
+						{name:"Convert Frame Rate",
+							calc:function(f){
+								[[23.976,25],[25,23.976],[24,25],[25,24],[23.976,24],[24,23.976],[29.97,25],[25,29.97]].forEach(function(pair){
+									f({name: pair[0]+" \u2192 "+pair[1],
+										submenu:[
+											{name:"Preview",
+												action:function(){ this.track.retime({from:pair[0],to:pair[1],preview:true}); }},
+											{name:"Apply",
+												action:function(){ this.track.retime({from:pair[0],to:pair[1]}); }}
+										]});
+								});
+							}},
+						{name:"Clear Preview",
+							condition:function(){ return this.track.ghosts.length > 0; },
+							action:function(){ this.track.clearPreview(); }}
+					]},
+				{name:"Resolve Overlaps",
+					condition:function(){ return this.track.timingEditable && this.track.findOverlaps().length > 0; },
+					submenu:[
+						{name:"Trim Earlier",action:function(){ this.track.resolveOverlaps('trim-earlier'); }},
+						{name:"Trim Later",action:function(){ this.track.resolveOverlaps('trim-later'); }},
+						{name:"Split the Difference",action:function(){ this.track.resolveOverlaps('split'); }}
+					]},
 				{name:"Clone",
 					condition:function(){return !!this.timeline.canGetFor('newtrack',['name']); },
 					submenu:[
@@ -227,13 +518,42 @@
 				{name:"Merge With Selected",
 					condition:function(){
 						var track = this.track;
-						return	!track.locked &&
+						return	track.timingEditable && track.textEditable &&
 								!this.segment.selected &&
 								this.timeline.selectedSegments.some(function(seg){ return seg.track === track; });
 					},
 					action:function(){ this.segment.mergeWithSelected(); }},
 				{name:"Copy", action:function(){ this.segment.copy(); }},
+				{name:"Accept Changes",
+					vars: {
+						changes: function(){
+							var seg = this.segment;
+							return this.track.pendingChanges().filter(function(c){ return c.segment === seg; });
+						}
+					},
+					condition:function(pos,vars){ return vars.changes.length > 0; },
+					action:function(pos,vars){ this.track.acceptChanges(vars.changes); }},
+				{name:"Reject Changes",
+					vars: {
+						changes: function(){
+							var seg = this.segment;
+							return this.track.pendingChanges().filter(function(c){ return c.segment === seg; });
+						}
+					},
+					condition:function(pos,vars){
+						var track = this.track;
+						return vars.changes.some(function(c){
+							return (c.type === 'text')?track.textEditable:track.timingEditable;
+						});
+					},
+					action:function(pos,vars){ this.track.rejectChanges(vars.changes); }},
+				{name:"Reflow Text",
+					condition:function(){ return this.track.textEditable; },
+					action:function(){ this.segment.reflow(); }},
 				{name:"Delete", action:function(){ this.segment.del(); }},
+				{name:"Sync Start to Playhead",
+					condition:function(){ return this.track.timingEditable; },
+					action:function(){ this.track.addSyncPoint(this.segment, this.timeline.currentTime); }},
 				{name:"Match Repeat",
 					condition:function(pos){ return this.timeline.abRepeatSet; },
 					action:function(pos){
@@ -247,8 +567,86 @@
 					}}
 			]
 		},
+		{name:"Comments",
+			condition:function(){ return !!this.timeline.comments && !!this.timeline.canGetFor('comment',['text']); },
+			vars: {
+				threads: function(){
+					return this.segment?this.timeline.comments.forSegment(this.segment):[];
+				}
+			},
+			submenu:[
+				{name:"Comment on Segment",
+					condition:function(){ return !!this.segment; },
+					action:function(){
+						var tl = this.timeline,
+							seg = this.segment;
+						tl.getFor('comment',['text'],{}).then(function(values){
+							tl.comments.add({segment:seg,text:values[0]});
+						});
+					}},
+				{name:"Comment at Playhead",
+					action:function(){
+						var tl = this.timeline,
+							time = tl.currentTime;
+						tl.getFor('comment',['text'],{}).then(function(values){
+							tl.comments.add({time:time,text:values[0]});
+						});
+					}},
+				{name:"Reply",
+					condition:function(pos,vars){ return vars.threads.length > 0; },
+					action:function(pos,vars){
+						var tl = this.timeline,
+							thread = vars.threads[vars.threads.length-1];
+						tl.getFor('comment',['text'],{}).then(function(values){
+							tl.comments.reply(thread,{text:values[0]});
+						});
+					}},
+				{name:"Resolve Segment Comments",
+					condition:function(pos,vars){
+						return vars.threads.some(function(thread){ return !thread.resolved; });
+					},
+					action:function(pos,vars){
+						var comments = this.timeline.comments;
+						vars.threads.forEach(function(thread){ comments.resolve(thread); });
+					}}
+			]},
+		{name:"Compare",
+			condition:function(){ return typeof this.timeline.compareTracks === 'function'; },
+			vars: {
+				comparison: function(){ return this.timeline.comparison; }
+			},
+			submenu:[
+				{name:"Next Difference",
+					condition:function(pos,vars){ return vars.comparison !== null; },
+					action:function(pos,vars){ vars.comparison.step(1); }},
+				{name:"Previous Difference",
+					condition:function(pos,vars){ return vars.comparison !== null; },
+					action:function(pos,vars){ vars.comparison.step(-1); }},
+				{name:"Clear Comparison",
+					condition:function(pos,vars){ return vars.comparison !== null; },
+					action:function(){ this.timeline.clearComparison(); }}
+			],
+			calc:function(f){
+				var tl = this.timeline,
+					track = this.track,
+					c = tl.comparison;
+				if(c !== null && c.current !== null){
+					['a','b'].forEach(function(into){
+						f({name:"Pull Into "+c[into].id,
+							condition:function(){ return c[into].timingEditable && c[into].textEditable; },
+							action:function(){ c.pull(c.current, into); }});
+					});
+				}
+				if(!track){ return; }
+				tl.tracks.forEach(function(other){
+					if(other === track){ return; }
+					f({name:"Compare With "+other.id,
+						action:function(){ tl.compareTracks(track, other); }});
+				});
+			}},
 		{name:"Navigation",submenu:[
-			{name:"Order Tool",action:function(){ this.timeline.currentTool = Timeline.ORDER; }},
+			{name:"Next Unreviewed",command:"nextunreviewed",action:function(){ this.timeline.nextUnreviewed(); }},
+			{name:"Order Tool",command:"ordertool",action:function(){ this.timeline.currentTool = Timeline.ORDER; }},
 			{name:"Zoom To Repeat",
 				condition:function(){ return this.timeline.abRepeatSet; },
 				action:function(pos){
@@ -276,8 +674,8 @@
 				}}
 		]},
 		{name:"AB Repeat",submenu:[
-			{name:"Repeat Tool",action:function(){ this.timeline.currentTool = Timeline.REPEAT; }},
-			{name:"Enable",
+			{name:"Repeat Tool",command:"repeattool",action:function(){ this.timeline.currentTool = Timeline.REPEAT; }},
+			{name:"Enable", command:"abrepeat",
 				label:function(){ return this.timeline.abRepeatOn?"Disable AB Repeat":"Enable AB Repeat"; },
 				condition:function(){ return this.timeline.abRepeatSet; },
 				action:function(){ this.timeline.abRepeatOn = !this.timeline.abRepeatOn; }},
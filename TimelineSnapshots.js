@@ -0,0 +1,166 @@
+(function(Timeline){
+	"use strict";
+	var Proto;
+
+	if(!Timeline){
+		throw new Error("Timeline Uninitialized");
+	}
+
+	var idCounter = 0,
+		cueProps = ['id','vertical','line','position','size','align','snapToLines','pauseOnExit'];
+
+	function newId(){
+		return Date.now().toString(36) + '-' + (idCounter++).toString(36);
+	}
+
+	//Plain copies of the cues, so later edits to the track don't reach the snapshot
+	function copyCues(track){
+		return track.segments.filter(function(seg){ return !seg.deleted; }).map(function(seg){
+			var cue = seg.cue,
+				obj = {startTime: cue.startTime, endTime: cue.endTime, text: cue.text};
+			cueProps.forEach(function(key){
+				if(key in cue){ obj[key] = cue[key]; }
+			});
+			return obj;
+		});
+	}
+
+	//New cues from a snapshot, converted to the given type
+	function makeCues(snapshot, mime){
+		var cueType = TimedText.getTypeInfo(snapshot.mime).cueType,
+			convert = TimedText.getCueConverter(snapshot.mime, mime);
+		return snapshot.cues.map(function(obj){
+			var cue = new cueType(obj.startTime, obj.endTime, obj.text);
+			cueProps.forEach(function(key){
+				if(obj.hasOwnProperty(key) && (key in cue)){ cue[key] = obj[key]; }
+			});
+			return convert(cue);
+		});
+	}
+
+	/**
+	 * Snapshots
+	 *
+	 * Named copies of a track's full cue list, taken on demand or automatically
+	 * before bulk operations. Snapshots are kept by track id rather than on the
+	 * track, so they outlive the track being swapped out along with its undo history.
+	 * Restoring one is an ordinary undoable command. The command stack's renameEvents
+	 * is wrapped so that snapshots follow their track when it is renamed.
+	 **/
+	function Snapshots(tl){
+		var that = this,
+			stack = tl.commandStack,
+			renameEvents = stack.renameEvents;
+
+		this.tl = tl;
+		this.list = [];
+		this.maxAuto = 10; //automatic snapshots kept per track; the oldest are dropped
+
+		stack.renameEvents = function(oldname, newname){
+			var r = renameEvents.apply(stack, arguments);
+			that.list.forEach(function(snapshot){
+				if(snapshot.trackId === oldname){ snapshot.trackId = newname; }
+			});
+			return r;
+		};
+	}
+
+	Proto = Snapshots.prototype;
+
+	Proto.emit = function(action, snapshot, track){
+		this.tl.emit(new Timeline.Event('snapshot',{action: action, snapshot: snapshot, track: track || null}));
+	};
+
+	Proto.take = function(track, name, auto){
+		var autos,
+			snapshot = {
+				id: newId(),
+				name: name || "Snapshot "+(this.forTrack(track).length+1),
+				trackId: track.id,
+				kind: track.kind,
+				language: track.language,
+				mime: track.mime,
+				created: Date.now(),
+				auto: !!auto,
+				cues: copyCues(track)
+			};
+		this.list.push(snapshot);
+		if(auto){
+			autos = this.forTrack(track).filter(function(s){ return s.auto; });
+			autos.slice(0, Math.max(0, autos.length - this.maxAuto)).forEach(this.remove, this);
+		}
+		this.emit('take', snapshot, track);
+		return snapshot;
+	};
+
+	Proto.remove = function(snapshot){
+		var i = this.list.indexOf(snapshot);
+		if(i === -1){ return; }
+		this.list.splice(i,1);
+		this.emit('remove', snapshot);
+	};
+
+	//Snapshots of a track or track id, oldest first
+	Proto.forTrack = function(track){
+		var id = (typeof track === 'string')?track:track.id;
+		return this.list.filter(function(snapshot){ return snapshot.trackId === id; });
+	};
+
+	Proto.find = function(id){
+		var found = null;
+		this.list.some(function(snapshot){
+			if(snapshot.id !== id){ return false; }
+			found = snapshot;
+			return true;
+		});
+		return found;
+	};
+
+	/**
+	 * Replaces the cues of the track the snapshot was taken from (or of the given track)
+	 * with the snapshot's, as one command. Returns false if there is no such track or
+	 * it can't be edited.
+	 **/
+	Proto.restore = function(snapshot, track){
+		track = track || this.tl.getTrack(snapshot.trackId);
+		if(!track || track.restoreCues(makeCues(snapshot, track.mime)) === null){ return false; }
+		this.emit('restore', snapshot, track);
+		return true;
+	};
+
+	//The name open gives a snapshot's track by default
+	Proto.trackName = function(snapshot){
+		return snapshot.trackId+" ("+snapshot.name+")";
+	};
+
+	/**
+	 * Adds the snapshot as a new locked track, named after the snapshot unless a name is given,
+	 * and compares it with its original track if TimelineCompare.js is loaded.
+	 * Returns the new track.
+	 **/
+	Proto.open = function(snapshot, name){
+		var track, source,
+			tl = this.tl,
+			ntt = new TextTrack(snapshot.kind, name || this.trackName(snapshot), snapshot.language);
+		if(tl.trackIndices.hasOwnProperty(ntt.label)){ throw new Error("Track name already in use."); }
+		ntt.cues.loadCues(makeCues(snapshot, snapshot.mime));
+		ntt.readyState = TextTrack.LOADED;
+		ntt.mode = "showing";
+		tl.addTextTrack(ntt, snapshot.mime);
+		track = tl.getTrack(ntt.label);
+		track.locked = true;
+		source = tl.getTrack(snapshot.trackId);
+		if(source && typeof tl.compareTracks === 'function'){ tl.compareTracks(source, track); }
+		this.emit('open', snapshot, track);
+		return track;
+	};
+
+	Timeline.Snapshots = Snapshots;
+
+	//Takes a named snapshot of a track's cues
+	Timeline.prototype.takeSnapshot = function(tid, name){
+		var track = (tid instanceof Timeline.TextTrack)?tid:this.getTrack(tid);
+		if(!track){ throw new Error("Track "+tid+" Does Not Exist"); }
+		return this.snapshots.take(track, name, false);
+	};
+}(Timeline));
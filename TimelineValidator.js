@@ -0,0 +1,193 @@
+(function(Timeline){
+	"use strict";
+	var Proto;
+
+	if(!Timeline){
+		throw new Error("Timeline Uninitialized");
+	}
+
+	/**
+	 * Style guide profiles
+	 * Times are in seconds. A missing or null limit disables that check.
+	 **/
+	var Profiles = {
+		'default': {
+			name: "Default",
+			maxCPS: 20,
+			maxCPL: 42,
+			maxLines: 2,
+			minDuration: 0.833,
+			maxDuration: 7,
+			minGap: 0.083,
+			allowEmpty: false,
+			allowDuplicates: false
+		},
+		'children': {
+			name: "Children",
+			maxCPS: 13,
+			maxCPL: 37,
+			maxLines: 2,
+			minDuration: 1.5,
+			maxDuration: 7,
+			minGap: 0.083,
+			allowEmpty: false,
+			allowDuplicates: false
+		}
+	};
+
+	function plainLines(seg){
+		return TimedText.getPlainText(seg.cue).replace(/\r\n?/g,'\n').split('\n');
+	}
+
+	function issue(type, message, value, limit){
+		return {type: type, message: message, value: value, limit: limit};
+	}
+
+	function isSet(limit){
+		return typeof limit === 'number' && !isNaN(limit);
+	}
+
+	function round(n){ return Math.round(n*1000)/1000; }
+
+	//Checks a single segment against a profile, given its neighbours on the track
+	function checkSegment(seg, prev, next, profile){
+		var issues = [],
+			lines = plainLines(seg),
+			text = lines.join('').trim(),
+			chars = lines.reduce(function(n, line){ return n + line.length; }, 0),
+			duration = seg.endTime - seg.startTime,
+			cps = duration > 0?chars/duration:Infinity,
+			longest = Math.max.apply(Math, lines.map(function(line){ return line.length; }));
+
+		if(text === ''){
+			if(!profile.allowEmpty){ issues.push(issue('empty', "Empty cue")); }
+		}else{
+			if(isSet(profile.maxCPS) && cps > profile.maxCPS){
+				issues.push(issue('cps', "Reading speed of "+round(cps)+" characters per second", round(cps), profile.maxCPS));
+			}
+			if(isSet(profile.maxCPL) && longest > profile.maxCPL){
+				issues.push(issue('cpl', "Line of "+longest+" characters", longest, profile.maxCPL));
+			}
+			if(isSet(profile.maxLines) && lines.length > profile.maxLines){
+				issues.push(issue('lines', lines.length+" lines", lines.length, profile.maxLines));
+			}
+			if(!profile.allowDuplicates && prev && plainLines(prev).join('').trim() === text){
+				issues.push(issue('duplicate', "Same text as the previous cue"));
+			}
+		}
+		if(isSet(profile.minDuration) && duration < profile.minDuration){
+			issues.push(issue('minduration', "Duration of "+round(duration)+"s", round(duration), profile.minDuration));
+		}
+		if(isSet(profile.maxDuration) && duration > profile.maxDuration){
+			issues.push(issue('maxduration', "Duration of "+round(duration)+"s", round(duration), profile.maxDuration));
+		}
+		if(next && isSet(profile.minGap) && next.startTime - seg.endTime < profile.minGap){
+			issues.push(issue('gap', "Gap of "+round(next.startTime - seg.endTime)+"s to the next cue",
+				round(next.startTime - seg.endTime), profile.minGap));
+		}
+		return issues;
+	}
+
+	/**
+	 * Validator
+	 *
+	 * Checks text tracks against style guide profiles. Each segment's issues are kept
+	 * in seg.issues for rendering, and tracks that have been validated are checked again
+	 * whenever their segments change, until cleared.
+	 **/
+	function Validator(tl){
+		var that = this;
+		this.tl = tl;
+		this.profiles = Object.create(Profiles);
+		this.active = []; //[{track, profile}]
+		this.timer = null;
+		Timeline.ChangeEvents.forEach(function(name){
+			tl.on(name, function(){ that.schedule(); });
+		});
+		tl.on('removetrack', function(evt){ that.clear(evt.track); });
+	}
+
+	Validator.Profiles = Profiles;
+
+	//Adds a profile from an object or a JSON string
+	Validator.addProfile = function(key, profile){
+		if(typeof profile === 'string'){ profile = JSON.parse(profile); }
+		Profiles[key] = profile;
+		return profile;
+	};
+
+	Proto = Validator.prototype;
+
+	Proto.getProfile = function(profile){
+		if(typeof profile === 'undefined'){ profile = 'default'; }
+		if(typeof profile === 'string'){
+			if(profile.charAt(0) === '{'){ return JSON.parse(profile); }
+			if(!(profile in this.profiles)){ throw new Error("Unknown validation profile "+profile); }
+			return this.profiles[profile];
+		}
+		return profile;
+	};
+
+	//Returns a list of {segment, issues} for every segment on the track that fails the profile
+	Proto.check = function(track, profile){
+		var segs = track.segments.filter(function(seg){ return !seg.deleted; });
+		return segs.map(function(seg, i){
+			seg.issues = checkSegment(seg, segs[i-1], segs[i+1], profile);
+			return {segment: seg, issues: seg.issues};
+		}).filter(function(r){ return r.issues.length > 0; });
+	};
+
+	Proto.validate = function(track, profile){
+		var result, entry = null;
+		profile = this.getProfile(profile);
+		this.active.some(function(e){
+			if(e.track !== track){ return false; }
+			entry = e;
+			return true;
+		});
+		if(entry){ entry.profile = profile; }
+		else{ this.active.push({track: track, profile: profile}); }
+		result = this.check(track, profile);
+		this.tl.renderTrack(track);
+		this.tl.emit(new Timeline.Event('issues',{track: track, profile: profile, issues: result}));
+		return result;
+	};
+
+	Proto.profileFor = function(track){
+		var profile = null;
+		this.active.some(function(e){
+			if(e.track !== track){ return false; }
+			profile = e.profile;
+			return true;
+		});
+		return profile;
+	};
+
+	Proto.clear = function(track){
+		this.active = this.active.filter(function(e){ return e.track !== track; });
+		track.segments.forEach(function(seg){ seg.issues = []; });
+		if(this.tl.getTrack(track.id) === track){ this.tl.renderTrack(track); }
+	};
+
+	//Batches revalidation so that a command touching many segments only checks once
+	Proto.schedule = function(){
+		var that = this;
+		if(this.timer !== null || !this.active.length){ return; }
+		this.timer = setTimeout(function(){
+			that.timer = null;
+			that.active.forEach(function(e){ that.validate(e.track, e.profile); });
+		},0);
+	};
+
+	Timeline.Validator = Validator;
+
+	/**
+	 * Validates a text track against a style guide profile, given as the name of one of
+	 * Timeline.Validator.Profiles, a profile object, or a JSON string.
+	 **/
+	Timeline.prototype.validate = function(tid, profile){
+		var track = (tid instanceof Timeline.TextTrack)?tid:this.getTrack(tid);
+		if(!track){ throw new Error("Track "+tid+" Does Not Exist"); }
+		return this.validator.validate(track, profile);
+	};
+}(Timeline));